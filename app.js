@@ -8,18 +8,46 @@
 
   const el = {
     input: $('[data-input="tasks"]'),
+    rootTitle: $('[data-input="title"]'),
     generate: $('[data-action="generate"]'),
     clear: $('[data-action="clear"]'),
     theme: $('[data-action="theme"]'),
     install: $('[data-action="install"]'),
     guideBtn: $('[data-action="guide"]'),
     guideModal: $('[data-modal="guide"]'),
+    groupsBtn: $('[data-action="groups"]'),
+    groupsModal: $('[data-modal="groups"]'),
     exportSVG: $('[data-action="exportSVG"]'),
     exportPNG: $('[data-action="exportPNG"]'),
+    pngModal: $('[data-modal="png"]'),
+    pngForm: $('[data-png-form]'),
+    pngSize: $('[data-png-size]'),
+    exportPDF: $('[data-action="exportPDF"]'),
+    pdfModal: $('[data-modal="pdf"]'),
+    pdfForm: $('[data-pdf-form]'),
+    pdfPages: $('[data-pdf-pages]'),
     exportJSON: $('[data-action="exportJSON"]'),
     exportText: $('[data-action="exportText"]'),
     exportFreeMind: $('[data-action="exportFreeMind"]'),
+    exportOPML: $('[data-action="exportOPML"]'),
+    exportMarkdown: $('[data-action="exportMarkdown"]'),
+    markdownHeadings: $('[data-option="markdownHeadings"]'),
     shareLink: $('[data-action="shareLink"]'),
+    undo: $('[data-action="undo"]'),
+    notes: $('[data-action="notes"]'),
+    focus: $('[data-action="focus"]'),
+    breadcrumbs: $('[data-breadcrumbs]'),
+    notesPanel: $('[data-panel="notes"]'),
+    notesTitle: $('[data-notes-title]'),
+    notesInput: $('[data-input="notes"]'),
+    forces: $('[data-action="forces"]'),
+    forcesPanel: $('[data-panel="forces"]'),
+    forceGravity: $('[data-option="forceGravity"]'),
+    forceSpringLength: $('[data-option="forceSpringLength"]'),
+    forceAvoidOverlap: $('[data-option="forceAvoidOverlap"]'),
+    pinSelected: $('[data-option="pinSelected"]'),
+    relax: $('[data-action="relax"]'),
+    redo: $('[data-action="redo"]'),
     importBtn: $('[data-action="import"]'),
     fileImport: $('#fileImport'),
     fit: $('[data-action="fit"]'),
@@ -27,6 +55,12 @@
     overlay: $('.canvas-overlay'),
     layout: $('[data-option="layout"]'),
     autoGroup: $('[data-option="autoGroup"]'),
+    keepPositions: $('[data-option="keepPositions"]'),
+    snapGrid: $('[data-option="snapGrid"]'),
+    selectionBox: $('[data-selection-box]'),
+    bulkColor: $('[data-option="bulkColor"]'),
+    bulkGroup: $('[data-option="bulkGroup"]'),
+    inputFormat: $('[data-option="inputFormat"]'),
     fontFamily: $('[data-option="fontFamily"]'),
     fontSize: $('[data-option="fontSize"]'),
     fontBold: $('[data-option="fontBold"]'),
@@ -36,7 +70,8 @@
   };
 
   // ======= CONSTANTS =======
-  const KEYWORD_GROUPS = {
+  // Defaults for auto-grouping - users can change them in the keyword groups dialog
+  const DEFAULT_KEYWORD_GROUPS = {
     'Design': ['design', 'ui', 'ux', 'mockup', 'prototype', 'wireframe', 'sketch'],
     'Development': ['code', 'develop', 'build', 'implement', 'program', 'create', 'api'],
     'Testing': ['test', 'qa', 'verify', 'validate', 'debug', 'check'],
@@ -44,7 +79,7 @@
     'Deployment': ['deploy', 'release', 'publish', 'launch', 'production']
   };
 
-  const GROUP_COLORS = {
+  const DEFAULT_GROUP_COLORS = {
     'Design': '#8ecae6',
     'Development': '#219ebc',
     'Testing': '#b5179e',
@@ -53,12 +88,95 @@
     'Other': '#adb5bd'
   };
 
+  const PRIORITY_COLORS = {
+    'high': '#DC2626',
+    'medium': '#D97706',
+    'low': '#6B7280'
+  };
+
+  const DEFAULT_ROOT_TITLE = 'Mind Map';
+
+  // Offsets for placing nodes added by incremental updates, before the layout re-runs
+  const NEW_NODE_SPACING = 250;
+  const NEW_NODE_LEVEL_GAP = 300;
+
+  // Tree directions by layout
+  const LAYOUT_DIRECTIONS = {
+    'hierarchical': 'UD',
+    'bottom-up': 'DU',
+    'left-right': 'LR',
+    'right-left': 'RL'
+  };
+
+  // Layouts positioned by LayoutEngine instead of vis.js
+  const COMPUTED_LAYOUTS = ['radial', 'balanced', ...Object.keys(LAYOUT_DIRECTIONS)];
+  const TIDY_LEVEL_GAP = 90;
+  const TIDY_SIBLING_GAP = 30;
+  const RADIAL_RING_GAP = 250;
+  const RADIAL_LEAF_SPACING = 120;
+  const BALANCED_LEVEL_GAP = 300;
+  const BALANCED_LEAF_SPACING = 90;
+
+  // Spacing of the snapping grid, in canvas units
+  const GRID_SIZE = 50;
+  const GRID_COLOR = 'rgba(148, 163, 184, 0.25)';
+
+  // How long "Relax layout" runs the physics simulation
+  const RELAX_DURATION = 3000;
+
+  // Clicks closer together than this count as one double-click
+  const DOUBLE_CLICK_DELAY = 300;
+
+  const DONE_FONT_COLOR = '#9CA3AF';
+  const DEFAULT_FONT_COLOR = '#212121';
+
+  // Extra space vis.js leaves between a dot and the label below it (on top of half the font size)
+  const DOT_LABEL_GAP = 4;
+
+  // Outline of the node a dragged node will be dropped under
+  const DROP_TARGET_COLOR = '#10B981';
+
+  // PNG export: space around the map, backgrounds matching each theme's canvas,
+  // and the largest side browsers will reliably create a canvas for
+  const PNG_PADDING = 40;
+  const PNG_BACKGROUNDS = {
+    transparent: null,
+    light: '#FFFFFF',
+    dark: '#1F2937'
+  };
+  const MAX_PNG_SIZE = 16384;
+
+  // Group picker value that returns tasks to keyword detection
+  const AUTO_GROUP = '*';
+
+  // "> note text" lines attach notes to the task above them
+  const NOTE_LINE = /^>\s?(.*)$/;
+
+  let keywordGroups = DEFAULT_KEYWORD_GROUPS;
+  let groupColors = DEFAULT_GROUP_COLORS;
+
   let network = null;
   let networkData = null;
   let currentInputText = ''; // Store current input for URL sync
   let keyboardController = null;
   let isUpdatingFromNetwork = false; // Flag to prevent circular updates
   let nodeEditor = null;
+  let historyManager = null;
+  let notesNodeId = null; // Node shown in the notes panel
+  let manualPositions = {}; // Positions of nodes the user dragged, by ID
+  let watchedData = null; // DataSets watched for layout re-runs
+  let relaxTimer = null; // Set while "Relax layout" is running
+  let relaxPinnedIds = []; // Nodes held in place while relaxing, unpinned when it stops
+  let rubberBand = null; // { start, end, baseIds } while Ctrl+dragging a selection box
+  let reparentIds = null; // Nodes waiting for a click on their new parent
+  let dragStartPositions = {}; // Where the dragged nodes were when the drag began
+  let dropTargetId = null; // Node highlighted as the new parent while dragging
+  let dropCandidateIds = null; // Nodes the dragged nodes may be dropped under, worked out when the drag begins
+  let focusNodeId = null; // Node the map is drilled down to, null when the whole map is shown
+  let selectionAtPointerDown = []; // Nodes selected before the current click changed the selection
+  let lastClickTime = 0; // When the previous click on the map happened
+  let collapseTimer = null; // Pending fold of a clicked parent, cancelled by a double-click
+  let exportBounds = null; // Extent of the map being exported as an image, measured when an export dialog opens
 
   // ======= UTILITY FUNCTIONS =======
   function showProgress() {
@@ -95,23 +213,196 @@
     return Math.floor(spaces.length / 2); // 2 spaces = 1 level
   }
 
+  // ======= TASK METADATA =======
+
+  /**
+   * Read task text and metadata back from a network node
+   * @param {Object} node - vis.js node
+   * @returns {Object}
+   */
+  function nodeToTask(node) {
+    return {
+      text: node.originalText || node.title || node.label.replace(/\n/g, ' '),
+      tags: node.tags || [],
+      priority: node.priority || null,
+      due: node.due || null,
+      done: typeof node.done === 'boolean' ? node.done : null,
+      notes: node.notes || '',
+      group: node.taskGroup || null, // Chosen on the map, overrides keyword detection
+      customColor: node.customColor || null
+    };
+  }
+
+  /**
+   * Tooltip for a task node: the full task line followed by its notes
+   */
+  function getNodeTooltip(task) {
+    const line = TaskModel.formatTaskLine(task);
+    return task.notes ? `${line}\n\n${task.notes}` : line;
+  }
+
+  // ======= CROSS-LINKS =======
+
+  /**
+   * Get the cross-links of a node as written in the text
+   * @param {string} nodeId
+   * @returns {Array} [{ target, label }]
+   */
+  function getNodeLinks(nodeId) {
+    const node = networkData.nodes.get(nodeId);
+    const links = networkData.edges.get({ filter: edge => edge.link && edge.from === nodeId })
+      .map(edge => ({ target: nodeToTask(networkData.nodes.get(edge.to)).text, label: edge.label || '' }));
+
+    return links.concat((node && node.unresolvedLinks) || []);
+  }
+
+  /**
+   * Create a cross-link drawn with Shift+drag
+   * @param {Object} edgeData - { from, to } from vis.js
+   */
+  function addCrossLink(edgeData) {
+    const { from, to } = edgeData;
+    const exists = networkData.edges.get({
+      filter: edge => edge.link && edge.from === from && edge.to === to
+    }).length > 0;
+
+    if (from === to || from === 'root' || to === 'root' || exists) return;
+
+    networkData.edges.add(TaskModel.createLinkEdge(from, to));
+    syncNetworkToTextarea();
+    recordHistory();
+  }
+
+  // ======= MARKDOWN INPUT =======
+  const MARKDOWN_HEADING = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+  const MARKDOWN_LIST_ITEM = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+  const MARKDOWN_FENCE = /^\s*(```|~~~)/;
+  const MARKDOWN_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+
+  /**
+   * Check whether input uses Markdown headings, list markers or code fences
+   */
+  function looksLikeMarkdown(input) {
+    return input.split(/\r?\n/).some(line =>
+      MARKDOWN_HEADING.test(line) || MARKDOWN_LIST_ITEM.test(line) || MARKDOWN_FENCE.test(line)
+    );
+  }
+
+  /**
+   * Width of leading whitespace (tab = 4 spaces)
+   */
+  function getIndentWidth(line) {
+    return line.match(/^(\s*)/)[1].replace(/\t/g, '    ').length;
+  }
+
+  /**
+   * Convert Markdown to { level, text } entries
+   * Headings define levels, list markers are stripped, nested list indentation is honoured
+   * and fenced code, rules and blank lines are skipped
+   * @param {string} input - Markdown text
+   * @returns {Array}
+   */
+  function getMarkdownEntries(input) {
+    const entries = [];
+    const lines = input.split(/\r?\n/);
+    const headingDepths = lines
+      .map(line => line.match(MARKDOWN_HEADING))
+      .filter(Boolean)
+      .map(match => match[1].length);
+    const minHeadingDepth = headingDepths.length ? Math.min(...headingDepths) : 1;
+
+    let inFence = false;
+    let baseLevel = 0; // Level of items below the current heading
+    let listIndents = []; // Indent widths of the open list levels
+
+    for (const line of lines) {
+      if (MARKDOWN_FENCE.test(line)) {
+        inFence = !inFence;
+        continue;
+      }
+      if (inFence || !line.trim() || MARKDOWN_RULE.test(line)) continue;
+
+      const heading = line.match(MARKDOWN_HEADING);
+      if (heading) {
+        const level = heading[1].length - minHeadingDepth;
+        entries.push({ level: level, text: heading[2] });
+        baseLevel = level + 1;
+        listIndents = [];
+        continue;
+      }
+
+      // Notes belong to the item above and don't open a list level
+      if (NOTE_LINE.test(line.trim())) {
+        entries.push({ level: baseLevel, text: line.trim() });
+        continue;
+      }
+
+      const listItem = line.match(MARKDOWN_LIST_ITEM);
+      const indent = getIndentWidth(line);
+      const text = listItem ? listItem[2].trim() : line.trim();
+      if (!text) continue;
+
+      // Close list levels indented deeper than this item
+      while (listIndents.length && listIndents[listIndents.length - 1] > indent) {
+        listIndents.pop();
+      }
+      if (!listIndents.length || listIndents[listIndents.length - 1] < indent) {
+        listIndents.push(indent);
+      }
+
+      entries.push({ level: baseLevel + listIndents.length - 1, text: text });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Convert indented plain text to { level, text } entries
+   */
+  function getIndentedEntries(input) {
+    return input.split(/\r?\n/)
+      .filter(Boolean)
+      .map(line => ({ level: getIndentLevel(line), text: line.trim() }));
+  }
+
+  /**
+   * Get the active input format, resolving "auto" from the input itself
+   * @returns {string} 'markdown' or 'indented'
+   */
+  function getInputFormat(input) {
+    const format = el.inputFormat ? el.inputFormat.value : 'auto';
+    if (format === 'auto') {
+      return looksLikeMarkdown(input) ? 'markdown' : 'indented';
+    }
+    return format;
+  }
+
   // ======= HIERARCHICAL TASK PARSING =======
-  function parseHierarchicalTasks(input, autoGroup) {
-    const lines = input.split(/\r?\n/).filter(Boolean);
+  function parseHierarchicalTasks(input, autoGroup, format = 'indented') {
+    const entries = format === 'markdown' ? getMarkdownEntries(input) : getIndentedEntries(input);
     const hierarchy = [];
     const stack = [{ level: -1, children: hierarchy }];
+    let lastTask = null;
 
-    for (const rawLine of lines) {
-      const level = getIndentLevel(rawLine);
-      const text = rawLine.trim();
-
+    for (const { level, text } of entries) {
       if (!text) continue;
 
+      // "> note" lines add to the notes of the previous task
+      const note = text.match(NOTE_LINE);
+      if (note) {
+        if (lastTask) {
+          lastTask.notes = lastTask.notes ? `${lastTask.notes}\n${note[1]}` : note[1];
+        }
+        continue;
+      }
+
       const task = {
-        text: text,
+        ...TaskModel.parseTaskMetadata(text),
+        notes: '',
         level: level,
         children: []
       };
+      lastTask = task;
 
       // Find parent at correct level
       while (stack.length > 1 && stack[stack.length - 1].level >= level) {
@@ -129,7 +420,7 @@
   // ======= KEYWORD DETECTION =======
   function detectKeyword(text) {
     const lower = text.toLowerCase();
-    for (const [group, keywords] of Object.entries(KEYWORD_GROUPS)) {
+    for (const [group, keywords] of Object.entries(keywordGroups)) {
       if (keywords.some(kw => lower.includes(kw))) {
         return group;
       }
@@ -137,6 +428,83 @@
     return 'Other';
   }
 
+  // ======= KEYWORD GROUP SETTINGS =======
+
+  /**
+   * Current keyword groups and colours, as saved in exports and share links
+   */
+  function getGroupSettings() {
+    return {
+      keywordGroups: keywordGroups,
+      groupColors: groupColors
+    };
+  }
+
+  /**
+   * Switch to new keyword groups and recolour the current map in place
+   * @param {Object} settings - { keywordGroups, groupColors }
+   */
+  function applyGroupSettings(settings) {
+    keywordGroups = settings.keywordGroups;
+    groupColors = { 'Other': DEFAULT_GROUP_COLORS['Other'], ...settings.groupColors };
+    recolorNodes();
+  }
+
+  /**
+   * Re-detect the group of every task node and update its colour, keeping positions
+   */
+  function recolorNodes() {
+    if (!networkData) return;
+
+    networkData.nodes.update(getRecolorUpdates());
+    recordHistory();
+  }
+
+  /**
+   * Colour updates for every task node from its group, or the group or colour chosen for it
+   * @returns {Array} Node updates
+   */
+  function getRecolorUpdates() {
+    const autoGroup = el.autoGroup.checked;
+    const edges = networkData.edges.get();
+    const updates = [];
+
+    function visit(nodeId, parentGroup) {
+      edges.filter(edge => !edge.link && edge.from === nodeId).forEach(edge => {
+        const node = networkData.nodes.get(edge.to);
+        if (!node) return;
+
+        const task = nodeToTask(node);
+        const group = task.group || (autoGroup ? detectKeyword(task.text) : (parentGroup || 'Other'));
+        const fill = task.customColor || groupColors[group] || groupColors['Other'];
+
+        updates.push({ id: node.id, ...getPriorityStyle(fill, task.priority) });
+        visit(node.id, group);
+      });
+    }
+
+    visit('root', null);
+    return updates;
+  }
+
+  /**
+   * Adopt keyword groups carried in imported or shared metadata
+   * @param {Object} metadata
+   */
+  function applyMetadataGroups(metadata) {
+    if (!metadata || !metadata.keywordGroups || typeof GroupSettings === 'undefined') return;
+
+    const settings = GroupSettings.validate({
+      keywordGroups: metadata.keywordGroups,
+      groupColors: metadata.groupColors
+    });
+
+    if (settings) {
+      keywordGroups = settings.keywordGroups;
+      groupColors = { 'Other': DEFAULT_GROUP_COLORS['Other'], ...settings.groupColors };
+    }
+  }
+
   // ======= GET FONT SETTINGS =======
   function getFontSettings() {
     return {
@@ -147,19 +515,342 @@
     };
   }
 
+  // ======= LABEL FORMATTING =======
+
+  /**
+   * Wrap task text for display
+   * End nodes get up to 3 lines of 20 characters, parent nodes a single truncated line
+   */
+  function wrapLabel(text, hasChildren) {
+    if (hasChildren) {
+      return text.length > 40 ? text.substring(0, 37) + '...' : text;
+    }
+
+    // Split text into words and create up to 3 lines
+    const words = text.split(' ');
+    const maxCharsPerLine = 20; // Fixed line length
+    const lines = [];
+    let currentLine = '';
+
+    for (const word of words) {
+      if ((currentLine + ' ' + word).trim().length <= maxCharsPerLine) {
+        currentLine = (currentLine + ' ' + word).trim();
+      } else {
+        if (currentLine) lines.push(currentLine);
+        currentLine = word;
+      }
+      if (lines.length >= 2) break; // Max 3 lines (2 complete + current)
+    }
+    if (currentLine && lines.length < 3) lines.push(currentLine);
+
+    // Join with newline for multi-line display
+    let displayLabel = lines.slice(0, 3).join('\n');
+
+    // If text was truncated, add ellipsis
+    if (words.length > lines.join(' ').split(' ').length) {
+      const lastLine = lines[lines.length - 1];
+      lines[lines.length - 1] = lastLine.substring(0, Math.max(0, lastLine.length - 3)) + '...';
+      displayLabel = lines.join('\n');
+    }
+
+    return displayLabel;
+  }
+
+  /**
+   * Build the display label and font for a task node, including metadata badges
+   * @param {Object} task - Task text and metadata
+   * @param {boolean} hasChildren - Parent nodes are drawn as dots
+   * @param {Object} fontSettings - Result of getFontSettings()
+   * @param {number} hiddenCount - Descendants hidden by collapsing this node
+   * @returns {Object} { label, font }
+   */
+  function formatNodeLabel(task, hasChildren, fontSettings, hiddenCount = 0) {
+    let displayLabel = wrapLabel(task.text, hasChildren);
+
+    // Build font configuration with user settings
+    const fontConfig = {
+      size: hasChildren ? (fontSettings.size + 4) : fontSettings.size,
+      face: fontSettings.family,
+      bold: hasChildren || fontSettings.bold,
+      color: task.done ? DONE_FONT_COLOR : DEFAULT_FONT_COLOR,
+      multi: !hasChildren ? 'html' : false
+    };
+
+    // Add italic if selected (for vis.js, this needs to be in the label)
+    if (fontSettings.italic) {
+      let styledLabel = `<i>${displayLabel}</i>`;
+      if (!hasChildren) {
+        fontConfig.multi = 'html';
+        displayLabel = styledLabel;
+      }
+    }
+
+    // Checkbox badge
+    if (task.done === true) {
+      displayLabel = '☑ ' + displayLabel;
+    } else if (task.done === false) {
+      displayLabel = '☐ ' + displayLabel;
+    }
+
+    // Notes indicator
+    if (task.notes) {
+      displayLabel += ' 📝';
+    }
+
+    // Due date badge
+    if (task.due) {
+      displayLabel += (hasChildren ? '  ' : '\n') + '📅 ' + task.due;
+    }
+
+    // Collapsed badge
+    if (hiddenCount > 0) {
+      displayLabel += `  [+${hiddenCount}]`;
+    }
+
+    return { label: displayLabel, font: fontConfig };
+  }
+
+  /**
+   * Node color and border for a task, highlighting priority with the border
+   * @param {string} fill - Group color
+   * @param {string|null} priority - high, medium or low
+   * @returns {Object} { color, borderWidth }
+   */
+  function getPriorityStyle(fill, priority) {
+    const border = PRIORITY_COLORS[priority];
+    if (!border) {
+      return { color: fill, borderWidth: 2 };
+    }
+
+    return {
+      color: {
+        background: fill,
+        border: border,
+        highlight: { background: fill, border: border },
+        hover: { background: fill, border: border }
+      },
+      borderWidth: 4
+    };
+  }
+
+  /**
+   * Get the group fill color of a node whose color may be a string or an object
+   */
+  function getNodeFill(node) {
+    if (node.color && typeof node.color === 'object') {
+      return node.color.background || groupColors['Other'];
+    }
+    return node.color || groupColors['Other'];
+  }
+
+  // ======= ROOT TOPIC =======
+
+  /**
+   * Resolve the central topic of the map
+   * Uses the title field, or - when it is empty - the topic of the map being edited
+   * On an explicit Generate, a lone top-level line with every other line indented below it
+   * becomes the topic instead; live edits never take a task out of the text
+   * @param {Array} hierarchy - Parsed tasks
+   * @param {boolean} detectTopicLine - Whether a lone top-level line may become the topic
+   * @returns {Object} { title, hierarchy } with the topic line removed from the hierarchy
+   */
+  function resolveRootTopic(hierarchy, detectTopicLine) {
+    const fieldTitle = el.rootTitle ? el.rootTitle.value.trim() : '';
+    if (fieldTitle) {
+      return { title: fieldTitle, hierarchy: hierarchy };
+    }
+
+    if (detectTopicLine && hierarchy.length === 1 && hierarchy[0].children.length > 0) {
+      return { title: hierarchy[0].text, hierarchy: hierarchy[0].children };
+    }
+
+    return { title: getRootTitle(), hierarchy: hierarchy };
+  }
+
+  /**
+   * Get the central topic of the current map
+   */
+  function getRootTitle() {
+    const root = networkData ? networkData.nodes.get('root') : null;
+    if (root) {
+      return root.originalText || root.label || DEFAULT_ROOT_TITLE;
+    }
+    return (el.rootTitle && el.rootTitle.value.trim()) || DEFAULT_ROOT_TITLE;
+  }
+
+  /**
+   * Rename the root node and mirror the topic in the title field
+   * @param {string} title
+   */
+  function setRootTitle(title) {
+    const text = title.replace(/\s+/g, ' ').trim() || DEFAULT_ROOT_TITLE;
+
+    if (el.rootTitle) {
+      el.rootTitle.value = text === DEFAULT_ROOT_TITLE ? '' : text;
+    }
+
+    if (networkData && networkData.nodes.get('root')) {
+      networkData.nodes.update({
+        id: 'root',
+        label: text,
+        title: text,
+        originalText: text
+      });
+    }
+  }
+
+  /**
+   * Mirror the root node of loaded data in the title field
+   */
+  function syncTitleFromMap() {
+    if (!el.rootTitle) return;
+
+    const title = getRootTitle();
+    el.rootTitle.value = title === DEFAULT_ROOT_TITLE ? '' : title;
+  }
+
+  /**
+   * File name for exports, derived from the root topic
+   * @param {string} extension - e.g. 'json'
+   * @returns {string}
+   */
+  function getExportFileName(extension) {
+    const slug = getRootTitle()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60);
+
+    return `${slug || 'mind-map'}.${extension}`;
+  }
+
+  // ======= NODE IDENTITY & ORDER =======
+
+  /**
+   * Give re-parsed tasks the IDs of the nodes they correspond to in the current map
+   * Siblings are matched by text, then by position (a rename); tasks that are still
+   * unmatched are matched by text anywhere in the old tree (a move)
+   * @param {Array} hierarchy - Newly parsed tasks, updated in place
+   * @param {Array} previousHierarchy - Tasks from buildHierarchyFromNetwork
+   */
+  function assignStableIds(hierarchy, previousHierarchy) {
+    const unmatchedOld = [];
+    const unmatchedNew = [];
+
+    function collect(tasks, target) {
+      tasks.forEach(task => {
+        target.push(task);
+        collect(task.children || [], target);
+      });
+    }
+
+    function pair(task, old) {
+      task.id = old.id;
+      matchChildren(task.children, old.children);
+    }
+
+    function matchChildren(newChildren, oldChildren) {
+      const remainingOld = oldChildren.slice();
+      const pending = [];
+
+      // Same text under the same parent
+      newChildren.forEach(task => {
+        const index = remainingOld.findIndex(old => old.text === task.text);
+        if (index !== -1) {
+          pair(task, remainingOld.splice(index, 1)[0]);
+        } else {
+          pending.push(task);
+        }
+      });
+
+      // Same position with different text
+      pending.slice().forEach(task => {
+        const old = oldChildren[newChildren.indexOf(task)];
+        if (old && remainingOld.includes(old)) {
+          remainingOld.splice(remainingOld.indexOf(old), 1);
+          pending.splice(pending.indexOf(task), 1);
+          pair(task, old);
+        }
+      });
+
+      collect(remainingOld, unmatchedOld);
+      pending.forEach(task => {
+        unmatchedNew.push(task);
+        matchChildren(task.children, []);
+      });
+    }
+
+    matchChildren(hierarchy, previousHierarchy);
+
+    // Same text elsewhere in the tree
+    unmatchedNew.forEach(task => {
+      const index = unmatchedOld.findIndex(old => old.text === task.text);
+      if (index !== -1) {
+        task.id = unmatchedOld.splice(index, 1)[0].id;
+      }
+    });
+  }
+
+  /**
+   * Parse input into network data, keeping the IDs of unchanged nodes
+   * @param {string} input - Task text
+   * @param {boolean} [detectTopicLine] - Take a lone top-level line as the central topic (explicit Generate only)
+   * @returns {Object} { nodes, edges } DataSets
+   */
+  function buildFromInput(input, detectTopicLine) {
+    const autoGroup = el.autoGroup.checked;
+    const tasks = parseHierarchicalTasks(input, autoGroup, getInputFormat(input));
+    const { title, hierarchy } = resolveRootTopic(tasks, detectTopicLine === true);
+
+    if (!networkData) {
+      return buildNetworkData(hierarchy, autoGroup, title);
+    }
+
+    assignStableIds(hierarchy, buildHierarchyFromNetwork(networkData.nodes.get(), networkData.edges.get()));
+
+    // Groups and colours chosen on the map aren't in the text - keep them by task ID
+    (function keepChosenStyles(tasks) {
+      tasks.forEach(task => {
+        const oldNode = task.id ? networkData.nodes.get(task.id) : null;
+        if (oldNode) {
+          task.group = oldNode.taskGroup || null;
+          task.customColor = oldNode.customColor || null;
+        }
+        keepChosenStyles(task.children || []);
+      });
+    })(hierarchy);
+
+    const data = buildNetworkData(hierarchy, autoGroup, title);
+    keepFolds(data);
+    return data;
+  }
+
+  /**
+   * Nodes that were folded stay folded in freshly built data
+   * @param {Object} data - { nodes, edges } from buildNetworkData, with the IDs of the current nodes
+   */
+  function keepFolds(data) {
+    data.nodes.update(data.nodes.get()
+      .filter(node => {
+        const oldNode = networkData.nodes.get(node.id);
+        return oldNode && oldNode.collapsed;
+      })
+      .map(node => ({ id: node.id, collapsed: true })));
+  }
+
   // ======= BUILD NETWORK WITH SUBTASKS =======
-  function buildNetworkData(hierarchy, autoGroup) {
+  function buildNetworkData(hierarchy, autoGroup, rootTitle = DEFAULT_ROOT_TITLE) {
     const nodes = [];
     const edges = [];
-    let nodeId = 0;
+    const pendingLinks = []; // Cross-links, resolved once every node exists
     const fontSettings = getFontSettings();
 
     // Root node
     nodes.push({
       id: 'root',
-      label: 'Mind Map',
-      title: 'Mind Map',
-      originalText: 'Mind Map',
+      label: rootTitle,
+      title: rootTitle,
+      originalText: rootTitle,
       level: 0,
       color: '#F59E0B',
       font: {
@@ -172,81 +863,45 @@
     });
 
     // Process hierarchical tasks
-    function processTask(task, parentId, level, parentGroup) {
-      const taskId = `task_${nodeId++}`;
-      const group = autoGroup ? detectKeyword(task.text) : (parentGroup || 'Other');
-      const color = GROUP_COLORS[group] || GROUP_COLORS['Other'];
+    function processTask(task, parentId, level, parentGroup, order) {
+      const taskId = task.id || TaskModel.createNodeId();
+      const group = task.group || (autoGroup ? detectKeyword(task.text) : (parentGroup || 'Other'));
+      const color = task.customColor || groupColors[group] || groupColors['Other'];
 
       // Determine node style based on hierarchy
       const hasChildren = task.children && task.children.length > 0;
-
-      // For end nodes (no children), support multi-line text (up to 3 lines)
-      let displayLabel = task.text;
-      if (!hasChildren) {
-        // Split text into words and create up to 3 lines
-        const words = task.text.split(' ');
-        const maxCharsPerLine = 20; // Fixed line length
-        const lines = [];
-        let currentLine = '';
-
-        for (const word of words) {
-          if ((currentLine + ' ' + word).trim().length <= maxCharsPerLine) {
-            currentLine = (currentLine + ' ' + word).trim();
-          } else {
-            if (currentLine) lines.push(currentLine);
-            currentLine = word;
-          }
-          if (lines.length >= 2) break; // Max 3 lines (2 complete + current)
-        }
-        if (currentLine && lines.length < 3) lines.push(currentLine);
-
-        // Join with newline for multi-line display
-        displayLabel = lines.slice(0, 3).join('\n');
-
-        // If text was truncated, add ellipsis
-        if (words.length > lines.join(' ').split(' ').length) {
-          const lastLine = lines[lines.length - 1];
-          lines[lines.length - 1] = lastLine.substring(0, Math.max(0, lastLine.length - 3)) + '...';
-          displayLabel = lines.join('\n');
-        }
-      } else {
-        // For parent nodes, keep single line with truncation
-        displayLabel = task.text.length > 40 ? task.text.substring(0, 37) + '...' : task.text;
-      }
-
-      // Build font configuration with user settings
-      const fontConfig = {
-        size: hasChildren ? (fontSettings.size + 4) : fontSettings.size,
-        face: fontSettings.family,
-        bold: hasChildren || fontSettings.bold,
-        multi: !hasChildren ? 'html' : false
-      };
-
-      // Add italic if selected (for vis.js, this needs to be in the label)
-      if (fontSettings.italic) {
-        let styledLabel = `<i>${displayLabel}</i>`;
-        if (!hasChildren) {
-          fontConfig.multi = 'html';
-          displayLabel = styledLabel;
-        }
-      }
+      const { label, font } = formatNodeLabel(task, hasChildren, fontSettings);
+      const { color: nodeColor, borderWidth } = getPriorityStyle(color, task.priority);
 
       const nodeConfig = {
         id: taskId,
-        label: displayLabel,
-        title: task.text, // Full tooltip
+        label: label,
+        title: getNodeTooltip(task), // Full tooltip
         originalText: task.text, // Store original text for reconstruction
+        notes: task.notes || undefined,
+        tags: task.tags,
+        priority: task.priority,
+        due: task.due,
+        done: task.done,
+        taskGroup: task.group || undefined, // Group chosen on the map
+        customColor: task.customColor || undefined, // Colour chosen on the map
+        order: order, // Position among siblings
+        unresolvedLinks: undefined, // Cross-links whose target text matches no task
+        hiddenCount: undefined, // Recomputed by applyCollapsedState
         level: level,
-        color: color,
-        font: fontConfig,
+        color: nodeColor,
+        font: font,
         shape: hasChildren ? 'dot' : 'box',
         size: hasChildren ? 28 : undefined,
         margin: hasChildren ? undefined : 10,
-        borderWidth: 2,
+        borderWidth: borderWidth,
         widthConstraint: !hasChildren ? { maximum: 200 } : undefined
       };
 
       nodes.push(nodeConfig);
+      if (task.links && task.links.length > 0) {
+        pendingLinks.push({ id: taskId, links: task.links });
+      }
 
       // Create edge from parent
       edges.push({
@@ -258,16 +913,22 @@
 
       // Process children (subtasks)
       if (hasChildren) {
-        for (const child of task.children) {
-          processTask(child, taskId, level + 1, group);
-        }
+        task.children.forEach((child, index) => {
+          processTask(child, taskId, level + 1, group, index);
+        });
       }
     }
 
     // Process all top-level tasks
-    for (const task of hierarchy) {
-      processTask(task, 'root', 1, null);
-    }
+    hierarchy.forEach((task, index) => {
+      processTask(task, 'root', 1, null, index);
+    });
+
+    pendingLinks.forEach(({ id, links }) => {
+      const resolved = TaskModel.resolveLinks(id, links, nodes);
+      edges.push(...resolved.edges);
+      nodes.find(node => node.id === id).unresolvedLinks = resolved.unresolved.length ? resolved.unresolved : undefined;
+    });
 
     return {
       nodes: new vis.DataSet(nodes),
@@ -276,55 +937,59 @@
   }
 
   // ======= DRAW NETWORK =======
-  function drawNetwork(data, layoutType) {
+  /**
+   * Draw a new network, replacing the current one
+   * @param {Object} data - { nodes, edges } DataSets
+   * @param {string} layoutType - Value of the layout select
+   * @param {Object} saved - Optional positions (by node ID) and view { scale, position } to restore instead of running the layout
+   */
+  function drawNetwork(data, layoutType, saved = {}) {
     // Destroy existing network
+    stopRelax();
+    reparentIds = null;
+    dropTargetId = null;
+    dropCandidateIds = null;
     if (network) {
       network.destroy();
+      network = null;
     }
 
     // Hide overlay
     el.overlay.setAttribute('data-state', 'hidden');
+    hideNotesPanel();
 
     // Enable buttons
     el.fit.disabled = false;
     el.exportSVG.disabled = false;
     el.exportPNG.disabled = false;
+    el.exportPDF.disabled = false;
     el.exportJSON.disabled = false;
     el.exportText.disabled = false;
     el.exportFreeMind.disabled = false;
+    el.exportOPML.disabled = false;
+    el.exportMarkdown.disabled = false;
     el.shareLink.disabled = false;
+    el.notes.disabled = false;
+    el.focus.disabled = false;
+    el.relax.disabled = false;
 
     // Store data
     networkData = data;
+    applyCollapsedState();
 
-    // Configure layout
-    let layoutConfig = {};
-
-    if (layoutType === 'hierarchical') {
-      layoutConfig = {
-        hierarchical: {
-          direction: 'UD',
-          sortMethod: 'directed',
-          nodeSpacing: 250,
-          levelSeparation: 300,
-          treeSpacing: 350,
-          blockShifting: true,
-          edgeMinimization: true,
-          parentCentralization: true
-        }
-      };
-    } else if (layoutType === 'radial') {
-      layoutConfig = {
-        hierarchical: {
-          direction: 'UD',
-          sortMethod: 'directed',
-          nodeSpacing: 300,
-          levelSeparation: 350,
-          blockShifting: true,
-          edgeMinimization: true,
-          parentCentralization: true
-        }
-      };
+    // Saved positions replace the physics simulation
+    const physicsLayout = layoutType === 'force' && !saved.positions;
+    if (!saved.positions && !isKeepingPositions()) {
+      manualPositions = {};
+    }
+
+    // Configure layout - computed layouts place every node themselves,
+    // so skip vis.js's own initial layout (slow on large maps)
+    const layoutConfig = COMPUTED_LAYOUTS.includes(layoutType) ? { improvedLayout: false } : {};
+    const treeDirection = LAYOUT_DIRECTIONS[layoutType];
+    let edgeDirection = 'none';
+    if (treeDirection) {
+      edgeDirection = treeDirection === 'LR' || treeDirection === 'RL' ? 'horizontal' : 'vertical';
     }
 
     // Network options
@@ -341,6 +1006,7 @@
         color: { color: '#999999', highlight: '#F59E0B' },
         smooth: {
           type: 'cubicBezier',
+          forceDirection: edgeDirection,
           roundness: 0.5
         },
         arrows: {
@@ -351,16 +1017,7 @@
       },
       layout: layoutConfig,
       physics: {
-        enabled: layoutType === 'force',
-        solver: 'forceAtlas2Based',
-        forceAtlas2Based: {
-          gravitationalConstant: -50,
-          centralGravity: 0.01,
-          springLength: 200,
-          springConstant: 0.08,
-          damping: 0.4,
-          avoidOverlap: 1
-        },
+        ...getPhysicsOptions(physicsLayout),
         stabilization: {
           enabled: true,
           iterations: 1000, // Increased to ensure good layout before freezing
@@ -368,6 +1025,7 @@
         }
       },
       interaction: {
+        multiselect: true, // Ctrl+click adds to the selection, for align and distribute
         dragNodes: true,
         dragView: true,
         zoomView: true,
@@ -380,7 +1038,12 @@
         }
       },
       manipulation: {
-        enabled: false
+        enabled: false,
+        // Shift+drag between two nodes draws a cross-link
+        addEdge: (edgeData, callback) => {
+          callback(null);
+          addCrossLink(edgeData);
+        }
       },
       height: '550px',
       width: '100%'
@@ -388,58 +1051,1382 @@
 
     // Create network
     network = new vis.Network(el.network, data, options);
+    watchDataChanges(data);
+
+    if (saved.positions) {
+      restorePositions(saved.positions);
+    } else if (applyComputedLayout(layoutType)) {
+      network.fit();
+    }
+    applyManualPositions();
+
+    const view = saved.view;
+    if (view && view.scale > 0 && view.position && Number.isFinite(view.position.x) && Number.isFinite(view.position.y)) {
+      network.moveTo({ position: view.position, scale: view.scale });
+    }
 
     // Initialize Phase 2 modules
     if (typeof KeyboardController !== 'undefined') {
       keyboardController = KeyboardController;
       keyboardController.init(network, networkData, {
-        onNodeAdd: () => {
-          // Node added
+        onNodeAdd: (node) => {
+          expandAncestors(node.id);
+          applyComputedLayout();
+          recordHistory();
         },
         onNodeDelete: () => {
-          // Node deleted
+          if (focusNodeId && !networkData.nodes.get(focusNodeId)) {
+            setFocus(null);
+          }
+          applyComputedLayout();
+          recordHistory();
+          refreshNotesPanel();
+        },
+        onNodeMove: (nodeId) => {
+          expandAncestors(nodeId);
+          applyComputedLayout();
+          recordHistory();
         },
         onNodeEdit: (nodeId) => {
           if (nodeEditor) {
             nodeEditor.editNode(nodeId);
           }
+        },
+        onNodeNotes: openNotesPanel,
+        onNodeToggle: toggleCollapse,
+        onFocus: setFocus,
+        onCopy: copyNodes,
+        onArrange: arrangeSelectedNodes,
+        onGridToggle: () => {
+          el.snapGrid.checked = !el.snapGrid.checked;
+          handleSnapGridChange();
+        },
+        onUndo: handleUndo,
+        onRedo: handleRedo,
+        getNodeLabel: (node, hasChildren) =>
+          formatNodeLabel(nodeToTask(node), hasChildren, getFontSettings(), node.hiddenCount)
+      });
+      keyboardController.setOrientation(layoutType === 'balanced' ? 'balanced' : LAYOUT_DIRECTIONS[layoutType]);
+    }
+    renderFocus();
+
+    if (typeof NodeEditor !== 'undefined') {
+      nodeEditor = NodeEditor;
+      nodeEditor.init(network, networkData, (nodeId, newLabel) => {
+        // Node edited - re-read metadata tokens, then sync back to textarea
+        applyNodeText(nodeId, newLabel);
+        applySizedLayout();
+        syncNetworkToTextarea();
+        recordHistory();
+      }, {
+        getNodeText: (node) => TaskModel.formatTaskLine({ ...nodeToTask(node), links: getNodeLinks(node.id) })
+      });
+    }
+
+    // Clicking a parent that is already selected folds or unfolds its subtree.
+    // The fold waits out the double-click delay so that double-click editing
+    // never folds the node as well.
+    network.on('click', (params) => {
+      if (reparentIds) {
+        finishReparent(network.getNodeAt(params.pointer.DOM));
+        return;
+      }
+
+      const now = Date.now();
+      const isDoubleClick = now - lastClickTime < DOUBLE_CLICK_DELAY;
+      lastClickTime = now;
+      cancelCollapseClick();
+      if (isDoubleClick) return;
+
+      // Ctrl+click changes the selection instead
+      const srcEvent = params.event && params.event.srcEvent;
+      if (srcEvent && (srcEvent.ctrlKey || srcEvent.metaKey)) return;
+
+      const nodeId = params.nodes.length === 1 ? params.nodes[0] : null;
+      if (nodeId !== null && selectionAtPointerDown.includes(nodeId)) {
+        collapseTimer = setTimeout(() => {
+          collapseTimer = null;
+          toggleCollapse(nodeId);
+        }, DOUBLE_CLICK_DELAY);
+      }
+    });
+    network.on('doubleClick', cancelCollapseClick);
+
+    // An open notes panel follows the selection
+    network.on('selectNode', (params) => {
+      if (notesNodeId) {
+        openNotesPanel(params.nodes[0]);
+      }
+    });
+
+    // Record manual node moves so they can be undone
+    // Snap dragged nodes to the grid as they move
+    network.on('dragStart', (params) => {
+      dragStartPositions = network.getPositions(params.nodes);
+      dropTargetId = null;
+      dropCandidateIds = getDropCandidates(params.nodes);
+    });
+
+    network.on('dragging', (params) => {
+      if (params.nodes.length === 0) return;
+
+      dropTargetId = findDropTarget(params.pointer);
+      if (el.snapGrid.checked && !dropTargetId) {
+        snapNodesToGrid(params.nodes);
+      }
+    });
+
+    network.on('beforeDrawing', drawGrid);
+    network.on('afterDrawing', drawDropTarget);
+
+    network.on('dragEnd', (params) => {
+      if (params.nodes.length > 0 && dropTargetId) {
+        dropNodes(params.nodes);
+      } else if (params.nodes.length > 0) {
+        if (el.snapGrid.checked) {
+          snapNodesToGrid(params.nodes);
+        }
+        Object.assign(manualPositions, network.getPositions(params.nodes));
+        recordHistory();
+      }
+    });
+
+    // Listen for node additions/deletions from keyboard controller
+    network.on('afterDrawing', () => {
+      // Sync any changes back to textarea after drawing
+      if (!isUpdatingFromNetwork) {
+        syncNetworkToTextarea();
+      }
+    });
+
+    // Disable physics after stabilization for ALL layouts
+    // This allows free node movement (vertical & horizontal) without spring-back
+    network.once('stabilizationIterationsDone', function () {
+      network.setOptions({
+        physics: {
+          enabled: false
+        }
+      });
+
+      // Physics layouts only have final positions once stabilized
+      applyManualPositions();
+      recordHistory();
+
+      // Fit view with animation
+      network.fit({
+        animation: {
+          duration: 1000,
+          easingFunction: 'easeInOutQuad'
+        }
+      });
+    });
+
+    // Non-physics layouts are positioned synchronously
+    if (!physicsLayout) {
+      recordHistory();
+    }
+  }
+
+  // ======= SAVED POSITIONS =======
+
+  /**
+   * Current positions of every node, including hidden ones
+   */
+  function getAllPositions() {
+    return network.getPositions(networkData.nodes.getIds());
+  }
+
+  function isKeepingPositions() {
+    return !!(el.keepPositions && el.keepPositions.checked);
+  }
+
+  /**
+   * Put dragged nodes back where the user left them after a layout ran
+   * Only while "Keep manual positions" is on
+   */
+  function applyManualPositions() {
+    if (!network || !networkData || !isKeepingPositions()) return;
+    restorePositions(manualPositions);
+  }
+
+  /**
+   * Data changes can move nodes (new nodes, physics), so re-apply
+   * manual positions after each one
+   * @param {Object} data - { nodes, edges } DataSets of the new network
+   */
+  function watchDataChanges(data) {
+    if (watchedData) {
+      watchedData.nodes.off('*', applyManualPositions);
+      watchedData.edges.off('*', applyManualPositions);
+    }
+    data.nodes.on('*', applyManualPositions);
+    data.edges.on('*', applyManualPositions);
+    watchedData = data;
+  }
+
+  /**
+   * Nodes with their current coordinates, for JSON exports and share links
+   * @returns {Array} Nodes with x, y and a manual flag for dragged nodes
+   */
+  function getNodesWithPositions() {
+    const positions = getAllPositions();
+
+    return networkData.nodes.get().map(node => {
+      const position = positions[node.id];
+      if (!position) return node;
+      return { ...node, x: position.x, y: position.y, manual: manualPositions[node.id] ? true : undefined };
+    });
+  }
+
+  /**
+   * Split saved coordinates off loaded nodes
+   * @param {Array} nodes - Nodes from a JSON file or share link
+   * @returns {Object} { nodes, positions, manualPositions } - positions is null when none were saved
+   */
+  function extractSavedPositions(nodes) {
+    const positions = {};
+    const manual = {};
+
+    const plainNodes = nodes.map(({ x, y, manual: isManual, ...node }) => {
+      if (typeof x === 'number' && typeof y === 'number') {
+        positions[node.id] = { x: x, y: y };
+        if (isManual) {
+          manual[node.id] = { x: x, y: y };
+        }
+      }
+      return node;
+    });
+
+    return {
+      nodes: plainNodes,
+      positions: Object.keys(positions).length > 0 ? positions : null,
+      manualPositions: manual
+    };
+  }
+
+  /**
+   * Current zoom and centre of the canvas
+   * @returns {Object} { scale, position }
+   */
+  function getViewState() {
+    const position = network.getViewPosition();
+    return {
+      scale: network.getScale(),
+      position: { x: Math.round(position.x), y: Math.round(position.y) }
+    };
+  }
+
+  // ======= COMPUTED LAYOUTS =======
+
+  /**
+   * Get the visible tree for LayoutEngine, with children in sibling order
+   * Collapsed subtrees and cross-links are left out; in focus mode the focused node is the root
+   * @returns {Object} { rootId, children }
+   */
+  function getLayoutTree() {
+    const children = {};
+    const visibleNodes = {};
+
+    networkData.nodes.get({ filter: node => !node.hidden }).forEach(node => {
+      visibleNodes[node.id] = node;
+    });
+
+    networkData.edges.get({ filter: edge => !edge.link }).forEach(edge => {
+      if (visibleNodes[edge.from] && visibleNodes[edge.to]) {
+        (children[edge.from] = children[edge.from] || []).push(visibleNodes[edge.to]);
+      }
+    });
+
+    Object.keys(children).forEach(id => {
+      children[id] = children[id].sort(TaskModel.compareSiblings).map(node => node.id);
+    });
+
+    return { rootId: focusNodeId || 'root', children: children };
+  }
+
+  /**
+   * Position every visible node with LayoutEngine when the layout is a computed one
+   * @param {string} layoutType - Defaults to the selected layout
+   * @returns {boolean} Whether positions were computed
+   */
+  function applyComputedLayout(layoutType = el.layout.value) {
+    if (!network || !networkData || typeof LayoutEngine === 'undefined') return false;
+    if (!COMPUTED_LAYOUTS.includes(layoutType) || !networkData.nodes.get('root')) return false;
+
+    const tree = getLayoutTree();
+    let positions;
+
+    if (layoutType === 'balanced') {
+      positions = LayoutEngine.balanced(tree, {
+        levelGap: BALANCED_LEVEL_GAP,
+        leafSpacing: BALANCED_LEAF_SPACING
+      });
+    } else if (layoutType === 'radial') {
+      positions = LayoutEngine.radial(tree, {
+        ringGap: RADIAL_RING_GAP,
+        leafSpacing: RADIAL_LEAF_SPACING
+      });
+    } else {
+      positions = LayoutEngine.tidy(tree, {
+        sizes: getNodeSizes(),
+        direction: LAYOUT_DIRECTIONS[layoutType],
+        levelGap: TIDY_LEVEL_GAP,
+        siblingGap: TIDY_SIBLING_GAP
+      });
+    }
+
+    Object.keys(positions).forEach(id => {
+      network.moveNode(id, positions[id].x, positions[id].y);
+    });
+    applyManualPositions();
+
+    return true;
+  }
+
+  /**
+   * Re-run the layout after node sizes changed, for the tree layouts that depend on them
+   */
+  function applySizedLayout() {
+    if (LAYOUT_DIRECTIONS[el.layout.value]) {
+      applyComputedLayout();
+    }
+  }
+
+  /**
+   * Bounding boxes of nodes at their current positions, labels included
+   * network.getBoundingBox() alone isn't enough: vis.js places the label under a dot
+   * where it was last drawn, which is out of date for nodes that moved since.
+   * The widths come from vis.js internals, read through VisAdapter
+   * @param {Array} nodeIds
+   * @returns {Object} { nodeId: { x, y, left, right, top, bottom } }
+   */
+  function getNodeBoxes(nodeIds) {
+    network.redraw(); // vis.js measures nodes while drawing
+    const positions = network.getPositions(nodeIds);
+    const boxes = {};
+
+    nodeIds.forEach(id => {
+      const width = VisAdapter.getNodeWidth(network, id);
+      const box = network.getBoundingBox(id);
+      if (width === null || !box) return;
+
+      const { x, y } = positions[id];
+      const halfWidth = width / 2;
+      boxes[id] = { x: x, y: y, left: x - halfWidth, right: x + halfWidth, top: box.top, bottom: box.bottom };
+    });
+
+    return boxes;
+  }
+
+  /**
+   * Measure the visible nodes as drawn, including wrapped labels and the labels under dots
+   * Sizes are symmetric around the node position so the layout can centre on it
+   * @returns {Object} { nodeId: { width, height } }
+   */
+  function getNodeSizes() {
+    const boxes = getNodeBoxes(networkData.nodes.getIds({ filter: node => !node.hidden }));
+    const sizes = {};
+
+    Object.keys(boxes).forEach(id => {
+      const box = boxes[id];
+      sizes[id] = {
+        width: 2 * Math.max(box.x - box.left, box.right - box.x),
+        height: 2 * Math.max(box.y - box.top, box.bottom - box.y)
+      };
+    });
+
+    return sizes;
+  }
+
+  // ======= FORCE LAYOUT =======
+
+  /**
+   * Physics options from the forces panel
+   * @param {boolean} enabled - Whether the simulation should run
+   * @returns {Object} vis.js physics options (without stabilization)
+   */
+  function getPhysicsOptions(enabled) {
+    return {
+      enabled: enabled,
+      solver: 'forceAtlas2Based',
+      forceAtlas2Based: {
+        gravitationalConstant: -Number(el.forceGravity.value),
+        centralGravity: 0.01,
+        springLength: Number(el.forceSpringLength.value),
+        springConstant: 0.08,
+        damping: 0.4,
+        avoidOverlap: Number(el.forceAvoidOverlap.value)
+      }
+    };
+  }
+
+  function handleForceSettingChange(e) {
+    const output = $(`[data-value="${e.target.dataset.option}"]`);
+    if (output) {
+      output.textContent = e.target.value;
+    }
+
+    if (relaxTimer) {
+      network.setOptions({ physics: getPhysicsOptions(true) });
+    }
+  }
+
+  /**
+   * Run the physics simulation on the current map for a few seconds
+   * Selected nodes stay where they are when pinning is on
+   */
+  function handleRelax() {
+    if (!network || relaxTimer) return;
+
+    relaxPinnedIds = el.pinSelected.checked ? network.getSelectedNodes() : [];
+    networkData.nodes.update(relaxPinnedIds.map(id => ({ id: id, fixed: true })));
+
+    el.relax.disabled = true;
+    network.setOptions({ physics: getPhysicsOptions(true) });
+    network.startSimulation();
+
+    relaxTimer = setTimeout(() => {
+      stopRelax();
+
+      // Dragged nodes that the simulation moved are no longer where the user put them
+      const positions = getAllPositions();
+      Object.keys(manualPositions).forEach(id => {
+        const position = positions[id];
+        if (!position || Math.round(position.x) !== Math.round(manualPositions[id].x) ||
+          Math.round(position.y) !== Math.round(manualPositions[id].y)) {
+          delete manualPositions[id];
+        }
+      });
+
+      recordHistory();
+    }, RELAX_DURATION);
+  }
+
+  /**
+   * Freeze the simulation if "Relax layout" is running, and release the nodes pinned for it
+   */
+  function stopRelax() {
+    if (!relaxTimer) return;
+
+    clearTimeout(relaxTimer);
+    relaxTimer = null;
+    el.relax.disabled = false;
+    if (network) {
+      network.setOptions({ physics: { enabled: false } });
+    }
+
+    if (networkData) {
+      networkData.nodes.update(relaxPinnedIds
+        .filter(id => networkData.nodes.get(id))
+        .map(id => ({ id: id, fixed: false })));
+    }
+    relaxPinnedIds = [];
+  }
+
+  // ======= FOCUS MODE =======
+
+  /**
+   * Drill down to a node: only it and its subtree are shown, laid out with it as the root
+   * The rest of the map stays in the data, so edits still apply to the full map
+   * @param {string|null} nodeId - Node to focus, or null / 'root' for the whole map
+   */
+  function setFocus(nodeId) {
+    if (!networkData || !network) return;
+
+    const focusId = nodeId && nodeId !== 'root' && networkData.nodes.get(nodeId) ? nodeId : null;
+    if (focusId === focusNodeId) return;
+
+    const positions = getAllPositions();
+    focusNodeId = focusId;
+
+    applyCollapsedState();
+    restorePositions(positions);
+    applyComputedLayout();
+    renderFocus();
+
+    if (keyboardController) {
+      keyboardController.selectNodes([focusId || 'root']);
+    }
+    network.fit();
+  }
+
+  /**
+   * Focus the selected node, or go back to the whole map when it is already focused
+   */
+  function handleFocus() {
+    const nodeId = keyboardController ? keyboardController.selectedNodeId : null;
+    if (nodeId && nodeId !== focusNodeId) {
+      setFocus(nodeId);
+    } else if (focusNodeId) {
+      setFocus(null);
+    } else {
+      showToast('Select a task to focus on.', 'error');
+    }
+  }
+
+  /**
+   * Show the path to the focused node as breadcrumbs and tell the keyboard controller
+   */
+  function renderFocus() {
+    if (keyboardController) {
+      keyboardController.setFocusRoot(focusNodeId);
+    }
+    if (!el.breadcrumbs) return;
+
+    el.breadcrumbs.hidden = !focusNodeId;
+    el.focus.setAttribute('aria-pressed', focusNodeId ? 'true' : 'false');
+    if (!focusNodeId) {
+      el.breadcrumbs.replaceChildren();
+      return;
+    }
+
+    const parentIds = getParentIdMap();
+    const path = [];
+    for (let id = focusNodeId; id; id = parentIds[id]) {
+      path.unshift(id);
+    }
+
+    const crumbs = [];
+    path.forEach((id, index) => {
+      const text = id === 'root' ? getRootTitle() : nodeToTask(networkData.nodes.get(id)).text;
+      if (index > 0) {
+        const separator = document.createElement('span');
+        separator.className = 'breadcrumb-separator';
+        separator.textContent = '›';
+        crumbs.push(separator);
+      }
+
+      const crumb = document.createElement(id === focusNodeId ? 'span' : 'button');
+      crumb.className = 'breadcrumb';
+      crumb.textContent = text;
+      crumb.title = text;
+      if (id === focusNodeId) {
+        crumb.setAttribute('aria-current', 'location');
+      } else {
+        crumb.type = 'button';
+        crumb.dataset.focus = id;
+      }
+      crumbs.push(crumb);
+    });
+
+    el.breadcrumbs.replaceChildren(...crumbs);
+  }
+
+  // ======= MULTI-SELECTION =======
+
+  /**
+   * Selected task nodes (the central topic is left out)
+   * @returns {Array} Node IDs
+   */
+  function getSelectedTaskIds() {
+    if (!network) return [];
+    return network.getSelectedNodes().filter(id => id !== 'root');
+  }
+
+  /**
+   * Apply a change to many nodes as one edit: the textarea is synced and history recorded once, at the end
+   * @param {Function} change
+   */
+  function runBulkAction(change) {
+    isUpdatingFromNetwork = true;
+    try {
+      change();
+    } finally {
+      isUpdatingFromNetwork = false;
+    }
+    syncNetworkToTextarea();
+    recordHistory();
+  }
+
+  /**
+   * Toolbar actions on the selection
+   * @param {string} action - reparent, copy or delete
+   */
+  function handleBulkAction(action) {
+    if (!network) return;
+
+    if (getSelectedTaskIds().length === 0) {
+      showToast('Select one or more tasks first.', 'error');
+      return;
+    }
+
+    if (action === 'reparent') {
+      reparentIds = getSelectedTaskIds();
+      showToast(`Click the new parent for ${reparentIds.length} task(s), or press Escape to cancel.`);
+    } else if (action === 'copy') {
+      copyNodes(getSelectedTaskIds());
+    } else if (action === 'delete' && keyboardController) {
+      keyboardController.setSelection(getSelectedTaskIds());
+      keyboardController.deleteNode();
+    }
+  }
+
+  /**
+   * Give the selected tasks their own colour
+   * @param {string} color - Hex colour
+   */
+  function recolorSelection(color) {
+    const nodeIds = getSelectedTaskIds();
+    if (nodeIds.length === 0) {
+      showToast('Select one or more tasks first.', 'error');
+      return;
+    }
+
+    runBulkAction(() => {
+      networkData.nodes.update(nodeIds.map(id => ({ id: id, customColor: color })));
+      networkData.nodes.update(getRecolorUpdates());
+    });
+  }
+
+  /**
+   * Put the selected tasks in a keyword group, or back to automatic detection
+   * @param {string} group - Group name, or AUTO_GROUP
+   */
+  function setSelectionGroup(group) {
+    const nodeIds = getSelectedTaskIds();
+    if (!group) return;
+    if (nodeIds.length === 0) {
+      showToast('Select one or more tasks first.', 'error');
+      return;
+    }
+
+    const taskGroup = group === AUTO_GROUP ? undefined : group;
+    runBulkAction(() => {
+      networkData.nodes.update(nodeIds.map(id => ({ id: id, taskGroup: taskGroup, customColor: undefined })));
+      networkData.nodes.update(getRecolorUpdates());
+    });
+  }
+
+  /**
+   * List the current keyword groups in the group picker
+   */
+  function fillGroupOptions() {
+    const groups = [...Object.keys(keywordGroups), 'Other'];
+    el.bulkGroup.replaceChildren(
+      new Option('Set group…', ''),
+      new Option('Automatic', AUTO_GROUP),
+      ...groups.map(group => new Option(group, group))
+    );
+    el.bulkGroup.options[0].disabled = true;
+    el.bulkGroup.value = '';
+  }
+
+  /**
+   * Keep only the selected nodes that aren't inside another selected subtree
+   * @param {Array} nodeIds
+   * @returns {Array} Node IDs
+   */
+  function getTopmostNodeIds(nodeIds) {
+    const parentIds = getParentIdMap();
+    const selected = new Set(nodeIds);
+
+    return nodeIds.filter(nodeId => {
+      for (let id = parentIds[nodeId]; id; id = parentIds[id]) {
+        if (selected.has(id)) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Copy the selected subtrees to the clipboard as indented text
+   * @param {Array} nodeIds
+   */
+  function copyNodes(nodeIds) {
+    if (!networkData || nodeIds.length === 0) return;
+
+    const hierarchy = buildHierarchyFromNetwork(networkData.nodes.get(), networkData.edges.get());
+    const topmost = new Set(getTopmostNodeIds(nodeIds));
+    let tasks = [];
+
+    // The central topic stands for the whole map, otherwise collect the subtrees in text order
+    if (topmost.has('root')) {
+      tasks = hierarchy;
+    } else {
+      (function collect(list) {
+        list.forEach(task => {
+          if (topmost.has(task.id)) {
+            tasks.push(task);
+          } else {
+            collect(task.children);
+          }
+        });
+      })(hierarchy);
+    }
+
+    const text = hierarchyToText(tasks).trimEnd();
+    const message = topmost.has('root') ? 'Copied the whole map as text.' : `Copied ${tasks.length} task(s) as text.`;
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard.writeText(text).then(() => {
+        showToast(message);
+      }).catch(() => {
+        showToast('Could not copy to the clipboard.', 'error');
+      });
+    } else {
+      showToast('Copying needs clipboard access.', 'error');
+    }
+  }
+
+  /**
+   * Move the nodes picked with "Move under" below the clicked node
+   * @param {string|undefined} parentId - Clicked node, undefined when the click missed
+   */
+  function finishReparent(parentId) {
+    const nodeIds = reparentIds;
+    reparentIds = null;
+
+    if (!parentId) {
+      showToast('Move cancelled.');
+      return;
+    }
+    moveNodesUnder(nodeIds, parentId);
+  }
+
+  /**
+   * Re-parent tasks, keeping their subtrees; they are added after the new parent's children
+   * @param {Array} nodeIds
+   * @param {string} parentId
+   */
+  function moveNodesUnder(nodeIds, parentId) {
+    const parentIds = getParentIdMap();
+
+    // A node can't move below itself or its own descendants
+    const blocked = new Set();
+    for (let id = parentId; id; id = parentIds[id]) {
+      blocked.add(id);
+    }
+    const movedIds = getTopmostNodeIds(nodeIds).filter(id => id !== 'root' && !blocked.has(id));
+    if (movedIds.length === 0) {
+      showToast('Tasks can\'t be moved below themselves.', 'error');
+      return;
+    }
+
+    const hierarchy = buildHierarchyFromNetwork(networkData.nodes.get(), networkData.edges.get());
+    const entries = { root: { task: { children: hierarchy } } };
+    (function index(tasks) {
+      tasks.forEach(task => {
+        entries[task.id] = { task: task, siblings: tasks };
+        index(task.children);
+      });
+    })(hierarchy);
+
+    movedIds.forEach(id => {
+      const { task, siblings } = entries[id];
+      siblings.splice(siblings.indexOf(task), 1);
+      entries[parentId].task.children.push(task);
+    });
+
+    const data = buildNetworkData(hierarchy, el.autoGroup.checked, getRootTitle());
+    keepFolds(data);
+
+    // The moved subtrees are laid out again at their new place
+    movedIds.forEach(id => {
+      getSubtreeIds(id).forEach(subtreeId => delete manualPositions[subtreeId]);
+    });
+
+    runBulkAction(() => {
+      applyNetworkDiff(data);
+      if (!COMPUTED_LAYOUTS.includes(el.layout.value)) {
+        placeMovedSubtrees(movedIds);
+      }
+      expandAncestors(movedIds[0]);
+    });
+    showToast(`Moved ${movedIds.length} task(s).`);
+  }
+
+  /**
+   * Get a node and all its tree descendants
+   * @param {string} nodeId
+   * @returns {Array} Node IDs, nodeId first
+   */
+  function getSubtreeIds(nodeId) {
+    const childIds = {};
+    networkData.edges.get({ filter: edge => !edge.link }).forEach(edge => {
+      (childIds[edge.from] = childIds[edge.from] || []).push(edge.to);
+    });
+
+    const ids = [];
+    (function visit(id) {
+      ids.push(id);
+      (childIds[id] || []).forEach(visit);
+    })(nodeId);
+    return ids;
+  }
+
+  /**
+   * Move re-parented subtrees next to their new parent in free layouts, keeping their shape
+   * @param {Array} nodeIds - Roots of the moved subtrees
+   */
+  function placeMovedSubtrees(nodeIds) {
+    const positions = getAllPositions();
+
+    nodeIds.forEach(nodeId => {
+      const before = positions[nodeId];
+      delete positions[nodeId];
+      placeNewNodes([nodeId], positions);
+      const after = positions[nodeId];
+      if (!before || !after) return;
+
+      getSubtreeIds(nodeId).slice(1).forEach(id => {
+        network.moveNode(id, positions[id].x + after.x - before.x, positions[id].y + after.y - before.y);
+      });
+    });
+  }
+
+  // ======= DRAG & DROP RE-PARENTING =======
+
+  /**
+   * Nodes the dragged nodes can be dropped under
+   * Their own subtrees are skipped, and so is the parent they already share
+   * @param {Array} draggedIds
+   * @returns {Set|null} Node IDs, null when only the central topic is dragged
+   */
+  function getDropCandidates(draggedIds) {
+    const movable = draggedIds.filter(id => id !== 'root');
+    if (movable.length === 0) return null;
+
+    const skipped = new Set();
+    movable.forEach(id => getSubtreeIds(id).forEach(subtreeId => skipped.add(subtreeId)));
+
+    const parentIds = getParentIdMap();
+    const sharedParent = movable.every(id => parentIds[id] === parentIds[movable[0]]) ? parentIds[movable[0]] : null;
+    skipped.add(sharedParent);
+
+    return new Set(networkData.nodes.getIds({ filter: node => !node.hidden && !skipped.has(node.id) }));
+  }
+
+  /**
+   * Find the drop candidate under the pointer
+   * vis.js reports only one node at a point, which is often the dragged node covering the target;
+   * then the candidates' boxes are checked instead
+   * @param {Object} pointer - { DOM, canvas } from a vis.js drag event
+   * @returns {string|null} Node ID
+   */
+  function findDropTarget(pointer) {
+    if (!dropCandidateIds) return null;
+
+    const hitId = network.getNodeAt(pointer.DOM);
+    if (hitId === undefined) return null;
+    if (dropCandidateIds.has(hitId)) return hitId;
+
+    const { x, y } = pointer.canvas;
+    for (const id of dropCandidateIds) {
+      const box = network.getBoundingBox(id);
+      if (box && x >= box.left && x <= box.right && y >= box.top && y <= box.bottom) {
+        return id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Outline the node the dragged nodes will be dropped under
+   * @param {CanvasRenderingContext2D} ctx
+   */
+  function drawDropTarget(ctx) {
+    if (!dropTargetId || !networkData.nodes.get(dropTargetId)) return;
+
+    const box = network.getBoundingBox(dropTargetId);
+    const padding = 8;
+    const scale = network.getScale();
+
+    ctx.save();
+    ctx.strokeStyle = DROP_TARGET_COLOR;
+    ctx.lineWidth = 3 / scale;
+    ctx.setLineDash([8 / scale, 4 / scale]);
+    ctx.strokeRect(box.left - padding, box.top - padding,
+      box.right - box.left + padding * 2, box.bottom - box.top + padding * 2);
+    ctx.restore();
+  }
+
+  /**
+   * Make the dragged nodes children of the highlighted node
+   * They go back to where the drag began first, so their subtrees move along with them
+   * @param {Array} nodeIds
+   */
+  function dropNodes(nodeIds) {
+    const parentId = dropTargetId;
+    dropTargetId = null;
+
+    restorePositions(dragStartPositions);
+    moveNodesUnder(nodeIds, parentId);
+  }
+
+  /**
+   * Start a selection box when Ctrl+dragging on empty canvas
+   * Ctrl+click on a node is left to vis.js, which adds it to the selection
+   * @param {PointerEvent} e
+   */
+  function rememberSelection() {
+    selectionAtPointerDown = network ? network.getSelectedNodes() : [];
+  }
+
+  function cancelCollapseClick() {
+    clearTimeout(collapseTimer);
+    collapseTimer = null;
+  }
+
+  function startRubberBand(e) {
+    if (!network || e.button !== 0 || !(e.ctrlKey || e.metaKey)) return;
+
+    const point = getCanvasPoint(e);
+    if (network.getNodeAt(point) !== undefined) return;
+
+    rubberBand = { start: point, end: point, baseIds: network.getSelectedNodes() };
+    network.setOptions({ interaction: { dragView: false } });
+    drawRubberBand();
+  }
+
+  function moveRubberBand(e) {
+    if (!rubberBand) return;
+    rubberBand.end = getCanvasPoint(e);
+    drawRubberBand();
+  }
+
+  /**
+   * Select the visible nodes inside the box, in addition to those selected before
+   */
+  function endRubberBand() {
+    if (!rubberBand) return;
+
+    const { start, end, baseIds } = rubberBand;
+    rubberBand = null;
+    el.selectionBox.hidden = true;
+    if (!network) return;
+
+    network.setOptions({ interaction: { dragView: true } });
+
+    const from = network.DOMtoCanvas({ x: Math.min(start.x, end.x), y: Math.min(start.y, end.y) });
+    const to = network.DOMtoCanvas({ x: Math.max(start.x, end.x), y: Math.max(start.y, end.y) });
+    const positions = getAllPositions();
+    const insideIds = networkData.nodes.getIds({ filter: node => !node.hidden }).filter(id => {
+      const position = positions[id];
+      return position && position.x >= from.x && position.x <= to.x && position.y >= from.y && position.y <= to.y;
+    });
+
+    const nodeIds = Array.from(new Set([...baseIds, ...insideIds]));
+    if (keyboardController) {
+      keyboardController.selectNodes(nodeIds);
+    } else {
+      network.selectNodes(nodeIds);
+    }
+  }
+
+  function drawRubberBand() {
+    const { start, end } = rubberBand;
+    el.selectionBox.style.left = `${el.network.offsetLeft + Math.min(start.x, end.x)}px`;
+    el.selectionBox.style.top = `${el.network.offsetTop + Math.min(start.y, end.y)}px`;
+    el.selectionBox.style.width = `${Math.abs(end.x - start.x)}px`;
+    el.selectionBox.style.height = `${Math.abs(end.y - start.y)}px`;
+    el.selectionBox.hidden = false;
+  }
+
+  /**
+   * Pointer position relative to the canvas
+   * @param {PointerEvent} e
+   * @returns {Object} { x, y } in DOM pixels
+   */
+  function getCanvasPoint(e) {
+    const rect = el.network.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  }
+
+  // ======= GRID, ALIGN & DISTRIBUTE =======
+
+  /**
+   * Draw the grid behind the nodes while snapping is on
+   * @param {CanvasRenderingContext2D} ctx - Canvas context in canvas coordinates
+   */
+  function drawGrid(ctx) {
+    if (!el.snapGrid.checked) return;
+
+    const topLeft = network.DOMtoCanvas({ x: 0, y: 0 });
+    const bottomRight = network.DOMtoCanvas({ x: el.network.clientWidth, y: el.network.clientHeight });
+    const startX = Math.floor(topLeft.x / GRID_SIZE) * GRID_SIZE;
+    const startY = Math.floor(topLeft.y / GRID_SIZE) * GRID_SIZE;
+
+    ctx.save();
+    ctx.strokeStyle = GRID_COLOR;
+    ctx.lineWidth = 1 / network.getScale();
+    ctx.beginPath();
+    for (let x = startX; x <= bottomRight.x; x += GRID_SIZE) {
+      ctx.moveTo(x, topLeft.y);
+      ctx.lineTo(x, bottomRight.y);
+    }
+    for (let y = startY; y <= bottomRight.y; y += GRID_SIZE) {
+      ctx.moveTo(topLeft.x, y);
+      ctx.lineTo(bottomRight.x, y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function handleSnapGridChange() {
+    if (network) {
+      network.redraw();
+    }
+    showToast(el.snapGrid.checked ? 'Snap to grid on.' : 'Snap to grid off.');
+  }
+
+  /**
+   * Move nodes to the nearest grid point
+   * @param {Array} nodeIds
+   */
+  function snapNodesToGrid(nodeIds) {
+    const positions = network.getPositions(nodeIds);
+    nodeIds.forEach(id => {
+      network.moveNode(id,
+        Math.round(positions[id].x / GRID_SIZE) * GRID_SIZE,
+        Math.round(positions[id].y / GRID_SIZE) * GRID_SIZE);
+    });
+  }
+
+  /**
+   * Align or distribute the selected nodes; they then count as manually placed
+   * @param {string} command - left, centre, right, top, middle, bottom (align) or horizontal, vertical (distribute)
+   */
+  function arrangeSelectedNodes(command) {
+    if (!network || typeof LayoutEngine === 'undefined') return;
+
+    const distribute = command === 'horizontal' || command === 'vertical';
+    const minimum = distribute ? 3 : 2;
+    const nodeIds = network.getSelectedNodes();
+    if (nodeIds.length < minimum) {
+      showToast(`Select at least ${minimum} nodes with Ctrl+click to ${distribute ? 'distribute' : 'align'} them.`, 'error');
+      return;
+    }
+
+    const boxes = getNodeBoxes(nodeIds);
+    const arranged = distribute
+      ? LayoutEngine.distribute(boxes, command === 'horizontal' ? 'x' : 'y')
+      : LayoutEngine.align(boxes, command);
+
+    restorePositions(arranged);
+    Object.assign(manualPositions, arranged);
+    recordHistory();
+  }
+
+  // ======= COLLAPSE / EXPAND =======
+
+  /**
+   * Get tree children by parent ID (cross-links excluded)
+   * @returns {Object} { parentId: [childId] }
+   */
+  function getChildIdMap() {
+    const childIds = {};
+    networkData.edges.get({ filter: edge => !edge.link }).forEach(edge => {
+      (childIds[edge.from] = childIds[edge.from] || []).push(edge.to);
+    });
+    return childIds;
+  }
+
+  /**
+   * Hide the descendants of collapsed nodes and badge collapsed nodes with the hidden count
+   * Derived from the collapsed flags, so it is safe to call after any data change
+   */
+  function applyCollapsedState() {
+    if (!networkData) return;
+
+    const childIds = getChildIdMap();
+    const hiddenIds = new Set();
+    const hiddenCounts = {};
+
+    function hideDescendants(nodeId) {
+      return (childIds[nodeId] || []).reduce((count, childId) => {
+        hiddenIds.add(childId);
+        return count + 1 + hideDescendants(childId);
+      }, 0);
+    }
+
+    const nodes = networkData.nodes.get();
+
+    // Focus mode shows only the focused node's subtree
+    if (focusNodeId && !networkData.nodes.get(focusNodeId)) {
+      focusNodeId = null;
+      renderFocus();
+    }
+    let focusedIds = null;
+    if (focusNodeId) {
+      focusedIds = new Set();
+      (function visit(nodeId) {
+        focusedIds.add(nodeId);
+        (childIds[nodeId] || []).forEach(visit);
+      })(focusNodeId);
+      nodes.forEach(node => {
+        if (!focusedIds.has(node.id)) hiddenIds.add(node.id);
+      });
+    }
+
+    // The focused node always shows its subtree; its fold (and those above it) applies again when focus ends
+    nodes
+      .filter(node => node.collapsed && (!focusedIds || (focusedIds.has(node.id) && node.id !== focusNodeId)))
+      .forEach(node => {
+        hiddenCounts[node.id] = hideDescendants(node.id);
+      });
+
+    const fontSettings = getFontSettings();
+    const updates = [];
+
+    nodes.forEach(node => {
+      const hidden = hiddenIds.has(node.id);
+      const hiddenCount = hiddenCounts[node.id] || 0;
+      const countChanged = hiddenCount !== (node.hiddenCount || 0);
+      if (hidden === !!node.hidden && !countChanged) return;
+
+      const update = { id: node.id, hidden: hidden };
+      if (countChanged && node.id !== 'root') {
+        update.hiddenCount = hiddenCount || undefined;
+        update.label = formatNodeLabel(nodeToTask(node), node.shape === 'dot', fontSettings, hiddenCount).label;
+      }
+      updates.push(update);
+    });
+
+    networkData.nodes.update(updates);
+
+    // Don't leave a hidden node selected
+    if (keyboardController && hiddenIds.has(keyboardController.selectedNodeId)) {
+      keyboardController.selectedNodeId = null;
+      if (network) {
+        network.unselectAll();
+      }
+    }
+  }
+
+  /**
+   * Fold or unfold the subtree below a parent node, keeping positions
+   * @param {string} nodeId
+   */
+  function toggleCollapse(nodeId) {
+    const node = networkData ? networkData.nodes.get(nodeId) : null;
+    if (!node || nodeId === 'root' || nodeId === focusNodeId || !getChildIdMap()[nodeId]) return;
+
+    const positions = getAllPositions();
+
+    networkData.nodes.update({ id: nodeId, collapsed: node.collapsed ? undefined : true });
+    applyCollapsedState();
+    restorePositions(positions);
+    applyComputedLayout();
+    recordHistory();
+  }
+
+  /**
+   * Get tree parents by child ID (cross-links excluded)
+   * @returns {Object} { childId: parentId }
+   */
+  function getParentIdMap() {
+    const parentIds = {};
+    networkData.edges.get({ filter: edge => !edge.link }).forEach(edge => {
+      parentIds[edge.to] = edge.from;
+    });
+    return parentIds;
+  }
+
+  /**
+   * Unfold every collapsed ancestor of a node so it can be seen
+   * @param {string} nodeId
+   */
+  function expandAncestors(nodeId) {
+    const parentIds = getParentIdMap();
+
+    const updates = [];
+    for (let id = parentIds[nodeId]; id; id = parentIds[id]) {
+      const node = networkData.nodes.get(id);
+      if (node && node.collapsed) {
+        updates.push({ id: id, collapsed: undefined });
+      }
+    }
+    if (updates.length === 0) return;
+
+    const positions = getAllPositions();
+    networkData.nodes.update(updates);
+    applyCollapsedState();
+    restorePositions(positions);
+    applyComputedLayout();
+  }
+
+  // ======= NODE NOTES =======
+
+  /**
+   * Show the notes panel for a task node, saving the notes shown before
+   * @param {string} nodeId
+   */
+  function openNotesPanel(nodeId) {
+    const node = networkData ? networkData.nodes.get(nodeId) : null;
+    if (!node || nodeId === 'root' || !el.notesPanel) return;
+
+    saveNotesFromPanel();
+
+    notesNodeId = nodeId;
+    el.notesTitle.textContent = nodeToTask(node).text;
+    el.notesInput.value = node.notes || '';
+    el.notesPanel.hidden = false;
+    el.notesInput.focus();
+  }
+
+  /**
+   * Open the notes panel for the selected node
+   */
+  function handleNotes() {
+    const nodeId = keyboardController ? keyboardController.selectedNodeId : null;
+    if (!nodeId || nodeId === 'root') {
+      showToast('Select a task to add notes.', 'error');
+      return;
+    }
+    openNotesPanel(nodeId);
+  }
+
+  function closeNotesPanel() {
+    saveNotesFromPanel();
+    hideNotesPanel();
+  }
+
+  /**
+   * Hide the panel without saving, e.g. when the map it belongs to is replaced
+   */
+  function hideNotesPanel() {
+    notesNodeId = null;
+    if (el.notesPanel) {
+      el.notesPanel.hidden = true;
+    }
+  }
+
+  /**
+   * Reload the panel after the map changed underneath it, closing it if its node is gone
+   */
+  function refreshNotesPanel() {
+    if (!notesNodeId) return;
+
+    const node = networkData.nodes.get(notesNodeId);
+    if (!node) {
+      hideNotesPanel();
+      return;
+    }
+
+    el.notesTitle.textContent = nodeToTask(node).text;
+    el.notesInput.value = node.notes || '';
+  }
+
+  function saveNotesFromPanel() {
+    if (notesNodeId && networkData) {
+      setNodeNotes(notesNodeId, el.notesInput.value);
+    }
+  }
+
+  /**
+   * Store notes on a node and update its indicator and tooltip
+   * @param {string} nodeId
+   * @param {string} rawNotes - Multi-line text; trailing whitespace is dropped
+   */
+  function setNodeNotes(nodeId, rawNotes) {
+    const node = networkData.nodes.get(nodeId);
+    if (!node) return;
+
+    const notes = rawNotes.replace(/\r\n/g, '\n').replace(/\s+$/, '');
+    if (notes === (node.notes || '')) return;
+
+    const task = { ...nodeToTask(node), links: getNodeLinks(nodeId), notes: notes };
+    const { label } = formatNodeLabel(task, node.shape === 'dot', getFontSettings(), node.hiddenCount);
+
+    networkData.nodes.update({
+      id: nodeId,
+      notes: notes || undefined,
+      label: label,
+      title: getNodeTooltip(task)
+    });
+
+    syncNetworkToTextarea();
+    recordHistory();
+  }
+
+  // ======= UNDO / REDO =======
+
+  /**
+   * Capture nodes (with their current canvas positions) and edges
+   * @returns {Object} Plain snapshot for the history stack
+   */
+  function captureState() {
+    const positions = network ? getAllPositions() : {};
+
+    return {
+      nodes: networkData.nodes.get().map(node => {
+        const position = positions[node.id];
+        return position ? { ...node, x: position.x, y: position.y } : node;
+      }),
+      edges: networkData.edges.get(),
+      manualPositions: { ...manualPositions }
+    };
+  }
+
+  /**
+   * Push the current map onto the history stack
+   */
+  function recordHistory() {
+    if (!historyManager || !networkData) return;
+
+    historyManager.saveState(captureState());
+    updateHistoryButtons();
+  }
+
+  /**
+   * Replace the live map with a snapshot, restoring positions
+   * @param {Object} state - Snapshot from the history stack
+   */
+  function restoreState(state) {
+    if (!state || !networkData || !network) return;
+
+    isUpdatingFromNetwork = true;
+
+    try {
+      // Positions are applied after the data so layouts don't override them
+      const nodes = state.nodes.map(({ x, y, ...node }) => node);
+
+      networkData.edges.clear();
+      networkData.nodes.clear();
+      networkData.nodes.add(nodes);
+      networkData.edges.add(state.edges);
+      manualPositions = { ...state.manualPositions };
+      applyCollapsedState(); // The focused branch may differ from when the state was saved
+      renderFocus();
+
+      state.nodes.forEach(node => {
+        if (node.x !== undefined && node.y !== undefined) {
+          network.moveNode(node.id, node.x, node.y);
         }
       });
-    }
 
-    if (typeof NodeEditor !== 'undefined') {
-      nodeEditor = NodeEditor;
-      nodeEditor.init(network, networkData, (nodeId, newLabel) => {
-        // Node edited - sync back to textarea
-        syncNetworkToTextarea();
-      });
+      network.unselectAll();
+      if (keyboardController) {
+        keyboardController.selectedNodeId = null;
+      }
+    } finally {
+      isUpdatingFromNetwork = false;
     }
 
-    // Listen for node additions/deletions from keyboard controller
-    network.on('afterDrawing', () => {
-      // Sync any changes back to textarea after drawing
-      if (!isUpdatingFromNetwork) {
-        syncNetworkToTextarea();
-      }
-    });
+    syncTitleFromMap();
+    syncNetworkToTextarea();
+    refreshNotesPanel();
+  }
 
-    // Disable physics after stabilization for ALL layouts
-    // This allows free node movement (vertical & horizontal) without spring-back
-    network.once('stabilizationIterationsDone', function () {
-      network.setOptions({
-        physics: {
-          enabled: false
-        }
-      });
+  function handleUndo() {
+    if (!historyManager || !historyManager.canUndo()) return;
 
-      // Fit view with animation
-      network.fit({
-        animation: {
-          duration: 1000,
-          easingFunction: 'easeInOutQuad'
-        }
-      });
-    });
+    restoreState(historyManager.undo());
+    updateHistoryButtons();
+  }
+
+  function handleRedo() {
+    if (!historyManager || !historyManager.canRedo()) return;
+
+    restoreState(historyManager.redo());
+    updateHistoryButtons();
+  }
+
+  function updateHistoryButtons() {
+    if (!el.undo || !el.redo) return;
+
+    el.undo.disabled = !historyManager || !historyManager.canUndo();
+    el.redo.disabled = !historyManager || !historyManager.canRedo();
   }
 
   // ======= PHASE 2: HELPER FUNCTIONS =======
@@ -458,8 +2445,9 @@
       // Build hierarchy from network data
       const hierarchy = buildHierarchyFromNetwork(nodes, edges);
 
-      // Convert hierarchy to text
-      const text = hierarchyToText(hierarchy).trim();
+      // Convert hierarchy to text, as bullet lists when Markdown input was chosen
+      const bullet = el.inputFormat && el.inputFormat.value === 'markdown' ? '- ' : '';
+      const text = hierarchyToText(hierarchy, 0, bullet).trim();
 
       // Update textarea without triggering regeneration
       isUpdatingFromNetwork = true;
@@ -480,32 +2468,38 @@
     nodes.forEach(node => {
       nodeMap[node.id] = {
         id: node.id,
-        text: node.originalText || node.title || node.label.replace(/\n/g, ' '),
+        ...nodeToTask(node),
         children: [],
+        links: [],
+        order: node.order,
         level: node.level || 0
       };
     });
 
-    // Build parent-child relationships
+    // Build parent-child relationships, and cross-links by their target's text
     edges.forEach(edge => {
       const parent = nodeMap[edge.from];
       const child = nodeMap[edge.to];
-      if (parent && child && child.id !== 'root') {
+      if (!parent || !child) return;
+
+      if (edge.link) {
+        parent.links.push({ target: child.text, label: edge.label || '' });
+      } else if (child.id !== 'root') {
         parent.children.push(child);
       }
     });
 
-    // Sort children at each level to maintain consistent order
-    // This ensures the hierarchy is reconstructed in the same order as displayed
+    // Links whose target is missing stay in the text
+    nodes.forEach(node => {
+      if (node.unresolvedLinks && nodeMap[node.id]) {
+        nodeMap[node.id].links.push(...node.unresolvedLinks);
+      }
+    });
+
+    // Sort children by their order index so the text matches the sibling order
     Object.values(nodeMap).forEach(node => {
       if (node.children.length > 0) {
-        node.children.sort((a, b) => {
-          // Sort by level first, then by id to maintain consistent order
-          if (a.level !== b.level) {
-            return a.level - b.level;
-          }
-          return a.id.localeCompare(b.id);
-        });
+        node.children.sort(TaskModel.compareSiblings);
       }
     });
 
@@ -513,17 +2507,64 @@
     return nodeMap['root'] ? nodeMap['root'].children : [];
   }
 
+  /**
+   * Update a node from an edited task line, parsing its metadata tokens
+   * @param {string} nodeId
+   * @param {string} rawText - Task line as typed, e.g. "Ship release !high @2026-11-01"
+   */
+  function applyNodeText(nodeId, rawText) {
+    const node = networkData.nodes.get(nodeId);
+    if (!node) return;
+
+    if (nodeId === 'root') {
+      setRootTitle(rawText);
+      renderFocus(); // Breadcrumbs start with the central topic
+      return;
+    }
+
+    const task = { ...TaskModel.parseTaskMetadata(rawText.replace(/\s+/g, ' ').trim()), notes: node.notes || '' };
+    const hasChildren = node.shape === 'dot';
+    const { edges: linkEdges, unresolved } = TaskModel.resolveLinks(nodeId, task.links, networkData.nodes.get());
+    const { label, font } = formatNodeLabel(task, hasChildren, getFontSettings(), node.hiddenCount);
+    const { color, borderWidth } = getPriorityStyle(getNodeFill(node), task.priority);
+
+    networkData.nodes.update({
+      id: nodeId,
+      label: label,
+      title: getNodeTooltip(task),
+      originalText: task.text,
+      tags: task.tags,
+      priority: task.priority,
+      due: task.due,
+      done: task.done,
+      unresolvedLinks: unresolved.length ? unresolved : undefined,
+      font: font,
+      color: color,
+      borderWidth: borderWidth
+    });
+
+    // Replace the node's cross-links with the ones typed in the editor
+    networkData.edges.remove(networkData.edges.getIds({ filter: edge => edge.link && edge.from === nodeId }));
+    networkData.edges.add(linkEdges);
+    renderFocus(); // Breadcrumbs show the current task texts
+  }
+
   /**
    * Convert hierarchy to indented text format
    */
-  function hierarchyToText(hierarchy, indent = 0) {
+  function hierarchyToText(hierarchy, indent = 0, bullet = '') {
     let text = '';
     const indentStr = '  '.repeat(indent);
 
     hierarchy.forEach(node => {
-      text += indentStr + node.text + '\n';
+      text += indentStr + bullet + TaskModel.formatTaskLine(node) + '\n';
+      if (node.notes) {
+        node.notes.split('\n').forEach(line => {
+          text += indentStr + '  ' + ('> ' + line).trimEnd() + '\n';
+        });
+      }
       if (node.children && node.children.length > 0) {
-        text += hierarchyToText(node.children, indent + 1);
+        text += hierarchyToText(node.children, indent + 1, bullet);
       }
     });
 
@@ -548,6 +2589,7 @@
 
   /**
    * Regenerate mind map from current textarea content
+   * Applies only the differences to the existing network so positions, selection and zoom survive
    */
   function regenerateMindMap() {
     const input = el.input.value.trim();
@@ -555,13 +2597,16 @@
 
     try {
       currentInputText = input;
-      const autoGroup = el.autoGroup.checked;
-      const hierarchy = parseHierarchicalTasks(input, autoGroup);
-      const data = buildNetworkData(hierarchy, autoGroup);
+      const data = buildFromInput(input);
       const layout = el.layout.value;
 
       isUpdatingFromNetwork = true;
-      drawNetwork(data, layout);
+      if (network && networkData) {
+        applyNetworkDiff(data);
+        recordHistory();
+      } else {
+        drawNetwork(data, layout);
+      }
       isUpdatingFromNetwork = false;
     } catch (error) {
       console.error('Error regenerating mind map:', error);
@@ -569,6 +2614,129 @@
     }
   }
 
+  /**
+   * Apply added, removed, renamed and moved nodes from freshly built data to the live DataSets
+   * Relies on buildFromInput keeping the IDs of matching nodes
+   * @param {Object} data - { nodes, edges } from buildNetworkData
+   */
+  function applyNetworkDiff(data) {
+    // Include hidden nodes so collapsed subtrees keep their layout
+    const positions = getAllPositions();
+    const newNodes = data.nodes.get();
+    const newEdges = data.edges.get();
+    const newNodeIds = new Set(newNodes.map(node => node.id));
+
+    // Nodes
+    const removedNodeIds = networkData.nodes.getIds().filter(id => !newNodeIds.has(id));
+    const addedNodes = [];
+    const changedNodes = [];
+
+    let relabelled = false;
+
+    newNodes.forEach(node => {
+      const oldNode = networkData.nodes.get(node.id);
+      if (!oldNode) {
+        addedNodes.push(node);
+      } else if (Object.keys(node).some(key => JSON.stringify(node[key]) !== JSON.stringify(oldNode[key]))) {
+        changedNodes.push(node);
+        relabelled = relabelled || node.label !== oldNode.label;
+      }
+    });
+
+    // Edges, keyed by type, parent and child
+    const edgeKey = (edge) => `${edge.link ? 'link' : 'tree'}:${edge.from}->${edge.to}`;
+    const newEdgeMap = new Map(newEdges.map(edge => [edgeKey(edge), edge]));
+    const oldEdges = networkData.edges.get();
+    const oldEdgeKeys = new Set(oldEdges.map(edgeKey));
+
+    const removedEdgeIds = oldEdges.filter(edge => !newEdgeMap.has(edgeKey(edge))).map(edge => edge.id);
+    const addedEdges = newEdges.filter(edge => !oldEdgeKeys.has(edgeKey(edge)));
+    const changedEdges = oldEdges
+      .filter(edge => newEdgeMap.has(edgeKey(edge)))
+      .map(edge => ({ ...newEdgeMap.get(edgeKey(edge)), id: edge.id }))
+      .filter(edge => {
+        const oldEdge = networkData.edges.get(edge.id);
+        return edge.width !== oldEdge.width ||
+          edge.label !== oldEdge.label ||
+          JSON.stringify(edge.color) !== JSON.stringify(oldEdge.color);
+      });
+
+    networkData.edges.remove(removedEdgeIds);
+    networkData.nodes.remove(removedNodeIds);
+    networkData.nodes.update(changedNodes);
+    networkData.nodes.add(addedNodes);
+    networkData.edges.update(changedEdges);
+    networkData.edges.add(addedEdges);
+    applyCollapsedState();
+
+    // Layouts may re-run on data changes - put unchanged nodes back where they were
+    restorePositions(positions);
+    placeNewNodes(addedNodes.map(node => node.id), positions);
+
+    // Computed layouts follow structural changes
+    if (addedEdges.length > 0 || removedEdgeIds.length > 0) {
+      applyComputedLayout();
+    } else if (relabelled) {
+      applySizedLayout();
+    }
+
+    if (keyboardController && removedNodeIds.includes(keyboardController.selectedNodeId)) {
+      keyboardController.selectedNodeId = null;
+    }
+    if (focusNodeId) {
+      renderFocus(); // Breadcrumbs show the current task texts
+    }
+    refreshNotesPanel();
+  }
+
+  /**
+   * Move nodes back to saved positions after a change that re-ran the layout
+   * @param {Object} positions - Positions by node ID; nodes that no longer exist are skipped
+   */
+  function restorePositions(positions) {
+    Object.keys(positions).forEach(id => {
+      if (networkData.nodes.get(id)) {
+        network.moveNode(id, positions[id].x, positions[id].y);
+      }
+    });
+  }
+
+  /**
+   * Place nodes without a position next to their siblings, or one level beyond their parent
+   * in the direction of the current tree layout
+   * @param {Array} nodeIds - New node IDs, parents before children
+   * @param {Object} positions - Known positions by node ID, updated in place
+   */
+  function placeNewNodes(nodeIds, positions) {
+    const edges = networkData.edges.get({ filter: edge => !edge.link });
+    const direction = LAYOUT_DIRECTIONS[el.layout.value] || 'UD';
+    const levelAxis = direction === 'LR' || direction === 'RL' ? 'x' : 'y';
+    const siblingAxis = levelAxis === 'x' ? 'y' : 'x';
+    const levelSign = direction === 'DU' || direction === 'RL' ? -1 : 1;
+
+    nodeIds.forEach(id => {
+      const parentEdge = edges.find(edge => edge.to === id);
+      const parentPosition = parentEdge && positions[parentEdge.from];
+      if (!parentPosition) return;
+
+      const siblingPositions = edges
+        .filter(edge => edge.from === parentEdge.from && edge.to !== id && positions[edge.to])
+        .map(edge => positions[edge.to]);
+
+      const position = {};
+      if (siblingPositions.length > 0) {
+        position[siblingAxis] = Math.max(...siblingPositions.map(pos => pos[siblingAxis])) + NEW_NODE_SPACING;
+        position[levelAxis] = siblingPositions[siblingPositions.length - 1][levelAxis];
+      } else {
+        position[siblingAxis] = parentPosition[siblingAxis];
+        position[levelAxis] = parentPosition[levelAxis] + levelSign * NEW_NODE_LEVEL_GAP;
+      }
+
+      network.moveNode(id, position.x, position.y);
+      positions[id] = position;
+    });
+  }
+
   /**
    * Update node styles without regenerating the network
    * Preserves node positions
@@ -594,64 +2762,18 @@
       }
 
       const hasChildren = node.shape === 'dot';
-      const text = node.originalText || node.title; // Fallback to title if originalText missing
-
-      // Reconstruct display label
-      let displayLabel = text;
-      if (!hasChildren) {
-        // Split text into words and create up to 3 lines
-        const words = text.split(' ');
-        const maxCharsPerLine = 20; // Fixed line length
-        const lines = [];
-        let currentLine = '';
-
-        for (const word of words) {
-          if ((currentLine + ' ' + word).trim().length <= maxCharsPerLine) {
-            currentLine = (currentLine + ' ' + word).trim();
-          } else {
-            if (currentLine) lines.push(currentLine);
-            currentLine = word;
-          }
-          if (lines.length >= 2) break;
-        }
-        if (currentLine && lines.length < 3) lines.push(currentLine);
-
-        displayLabel = lines.slice(0, 3).join('\n');
-
-        if (words.length > lines.join(' ').split(' ').length) {
-          const lastLine = lines[lines.length - 1];
-          lines[lines.length - 1] = lastLine.substring(0, Math.max(0, lastLine.length - 3)) + '...';
-          displayLabel = lines.join('\n');
-        }
-      } else {
-        displayLabel = text.length > 40 ? text.substring(0, 37) + '...' : text;
-      }
-
-      // Build font config
-      const fontConfig = {
-        size: hasChildren ? (fontSettings.size + 4) : fontSettings.size,
-        face: fontSettings.family,
-        bold: hasChildren || fontSettings.bold,
-        multi: !hasChildren ? 'html' : false
-      };
-
-      // Add italic if selected
-      if (fontSettings.italic) {
-        let styledLabel = `<i>${displayLabel}</i>`;
-        if (!hasChildren) {
-          fontConfig.multi = 'html';
-          displayLabel = styledLabel;
-        }
-      }
+      const { label, font } = formatNodeLabel(nodeToTask(node), hasChildren, fontSettings, node.hiddenCount);
 
       updates.push({
         id: node.id,
-        label: displayLabel,
-        font: fontConfig
+        label: label,
+        font: font
       });
     });
 
     networkData.nodes.update(updates);
+    applySizedLayout();
+    recordHistory();
   }
 
 
@@ -671,9 +2793,7 @@
 
     setTimeout(() => {
       try {
-        const autoGroup = el.autoGroup.checked;
-        const hierarchy = parseHierarchicalTasks(input, autoGroup);
-        const data = buildNetworkData(hierarchy, autoGroup);
+        const data = buildFromInput(input, true);
         const layout = el.layout.value;
 
         drawNetwork(data, layout);
@@ -689,22 +2809,41 @@
   function handleClear() {
     el.input.value = '';
     currentInputText = '';
+    if (el.rootTitle) {
+      el.rootTitle.value = '';
+    }
 
+    stopRelax();
     if (network) {
       network.destroy();
       network = null;
     }
 
     networkData = null;
+    manualPositions = {};
+
+    if (historyManager) {
+      historyManager.clear();
+      updateHistoryButtons();
+    }
 
     el.overlay.setAttribute('data-state', 'empty');
     el.fit.disabled = true;
     el.exportSVG.disabled = true;
     el.exportPNG.disabled = true;
+    el.exportPDF.disabled = true;
     el.exportJSON.disabled = true;
     el.exportText.disabled = true;
     el.exportFreeMind.disabled = true;
+    el.exportOPML.disabled = true;
+    el.exportMarkdown.disabled = true;
     el.shareLink.disabled = true;
+    el.notes.disabled = true;
+    el.focus.disabled = true;
+    el.relax.disabled = true;
+    hideNotesPanel();
+    focusNodeId = null;
+    renderFocus();
 
     // Clear URL state
     if (typeof URLState !== 'undefined') {
@@ -733,24 +2872,11 @@
   }
 
   function handleExportSVG() {
-    if (!network) return;
+    if (!network || typeof ImportExport === 'undefined') return;
 
     try {
-      const canvas = el.network.querySelector('canvas');
-      if (!canvas) throw new Error('Canvas not found');
-
-      const img = canvas.toDataURL('image/png');
-      const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${canvas.width}" height="${canvas.height}">
-        <image href="${img}" width="${canvas.width}" height="${canvas.height}"/>
-      </svg>`;
-
-      const blob = new Blob([svg], { type: 'image/svg+xml' });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = 'mind-map.svg';
-      a.click();
-      URL.revokeObjectURL(url);
+      const svg = ImportExport.exportToSVG(getMapScene(), { title: getRootTitle() });
+      ImportExport.downloadFile(svg, getExportFileName('svg'), 'image/svg+xml');
 
       showToast('Exported as SVG.');
     } catch (err) {
@@ -762,15 +2888,67 @@
   function handleExportPNG() {
     if (!network) return;
 
+    exportBounds = getMapScene().bounds;
+    el.pngForm.elements.pngBackground.value = document.body.classList.contains('dark') ? 'dark' : 'light';
+    updatePNGSize();
+    el.pngModal.showModal();
+  }
+
+  /**
+   * Read the PNG export dialog
+   * @returns {Object} { scale, background, width, height, reduced } with the size in pixels
+   */
+  function getPNGOptions() {
+    const form = el.pngForm.elements;
+    const size = getExportSize();
+    const requested = form.pngScale.value === 'width'
+      ? (Number(form.pngWidth.value) || size.width) / size.width
+      : Number(form.pngScale.value);
+    const scale = Math.min(requested, MAX_PNG_SIZE / Math.max(size.width, size.height));
+
+    return {
+      scale: scale,
+      background: PNG_BACKGROUNDS[form.pngBackground.value],
+      width: Math.max(1, Math.round(size.width * scale)),
+      height: Math.max(1, Math.round(size.height * scale)),
+      reduced: scale < requested
+    };
+  }
+
+  /**
+   * Size of the exported map, including the padding around it
+   * @returns {Object} { width, height } in canvas units
+   */
+  function getExportSize() {
+    return {
+      width: exportBounds.right - exportBounds.left + PNG_PADDING * 2,
+      height: exportBounds.bottom - exportBounds.top + PNG_PADDING * 2
+    };
+  }
+
+  function updatePNGSize() {
+    const options = getPNGOptions();
+    el.pngForm.elements.pngWidth.disabled = el.pngForm.elements.pngScale.value !== 'width';
+    el.pngSize.textContent = `Image size: ${options.width} × ${options.height} px` +
+      (options.reduced ? ' (reduced to the largest size browsers allow)' : '');
+  }
+
+  function exportPNG() {
+    const options = getPNGOptions();
+
     try {
-      const canvas = el.network.querySelector('canvas');
-      if (!canvas) throw new Error('Canvas not found');
+      const canvas = renderMapImage(exportBounds, options);
 
       canvas.toBlob(function (blob) {
+        if (!blob) {
+          showToast('PNG export failed. Try a smaller size.', 'error');
+          return;
+        }
+
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'mind-map.png';
+        a.download = getExportFileName('png');
         a.click();
         URL.revokeObjectURL(url);
       }, 'image/png');
@@ -782,6 +2960,108 @@
     }
   }
 
+  function handleExportPDF() {
+    if (!network || typeof PDFExport === 'undefined' || typeof ImportExport === 'undefined') return;
+
+    exportBounds = getMapScene().bounds;
+    updatePDFPages();
+    el.pdfModal.showModal();
+  }
+
+  /**
+   * Read the PDF export dialog
+   * @returns {Object} Options for PDFExport: paper, orientation, columns (0 to fit one page) and outline
+   */
+  function getPDFOptions() {
+    const form = el.pdfForm.elements;
+    const columns = Math.round(Number(form.pdfColumns.value)) || 1;
+
+    return {
+      paper: form.pdfPaper.value,
+      orientation: form.pdfOrientation.value,
+      columns: form.pdfPages.value === 'tile' ? Math.min(10, Math.max(1, columns)) : 0,
+      outline: form.pdfOutline.checked
+    };
+  }
+
+  function updatePDFPages() {
+    const options = getPDFOptions();
+    const size = getExportSize();
+    const layout = PDFExport.getLayout(size.width, size.height, options);
+    const pages = layout.columns * layout.rows;
+
+    // Canvas units are CSS pixels, 0.75 points each
+    const printScale = Math.round(layout.scale / 0.75 * 100);
+
+    el.pdfForm.elements.pdfColumns.disabled = !layout.tiled;
+    el.pdfPages.textContent = (layout.tiled
+      ? `${layout.columns} × ${layout.rows} pages (${pages} in total)`
+      : '1 page') + (options.outline ? ' plus the outline' : '') + `, map printed at ${printScale}% size`;
+  }
+
+  function exportPDF() {
+    const size = getExportSize();
+
+    try {
+      const pdf = PDFExport.exportToPDF({
+        title: getRootTitle(),
+        width: size.width,
+        height: size.height,
+        outline: ImportExport.exportToOutline({
+          nodes: networkData.nodes,
+          edges: networkData.edges
+        }),
+        render: (pixelWidth) => {
+          const scale = Math.min(pixelWidth / size.width, MAX_PNG_SIZE / Math.max(size.width, size.height));
+          const canvas = renderMapImage(exportBounds, {
+            scale: scale,
+            background: PNG_BACKGROUNDS.light,
+            width: Math.max(1, Math.round(size.width * scale)),
+            height: Math.max(1, Math.round(size.height * scale))
+          });
+
+          return {
+            data: atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]),
+            width: canvas.width,
+            height: canvas.height
+          };
+        }
+      }, getPDFOptions());
+
+      ImportExport.downloadFile(pdf, getExportFileName('pdf'), 'application/pdf');
+      showToast('Exported as PDF.');
+    } catch (err) {
+      console.error('PDF export error:', err);
+      showToast('PDF export failed.', 'error');
+    }
+  }
+
+  /**
+   * Draw the whole map onto a new canvas, leaving the on-screen view as it is
+   * Uses vis.js's own renderer, so the image looks exactly like the map on screen
+   * @param {Object} bounds - { left, top, right, bottom } of the map in canvas coordinates
+   * @param {Object} options - scale, background (null for transparent), width and height in pixels
+   * @returns {HTMLCanvasElement}
+   */
+  function renderMapImage(bounds, options) {
+    const canvas = document.createElement('canvas');
+    canvas.width = options.width;
+    canvas.height = options.height;
+
+    const ctx = canvas.getContext('2d');
+    if (options.background) {
+      ctx.fillStyle = options.background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.setTransform(options.scale, 0, 0, options.scale,
+      (PNG_PADDING - bounds.left) * options.scale, (PNG_PADDING - bounds.top) * options.scale);
+
+    // Selection and hover highlights are left out of the image
+    VisAdapter.withPlainState(network, () => VisAdapter.drawMap(network, ctx));
+
+    return canvas;
+  }
+
   function handleLayoutChange() {
     if (!networkData) return;
 
@@ -792,9 +3072,7 @@
   function handleAutoGroupChange() {
     if (!el.input.value.trim()) return;
 
-    const autoGroup = el.autoGroup.checked;
-    const hierarchy = parseHierarchicalTasks(el.input.value, autoGroup);
-    const data = buildNetworkData(hierarchy, autoGroup);
+    const data = buildFromInput(el.input.value);
     const layout = el.layout.value;
 
     drawNetwork(data, layout);
@@ -815,6 +3093,84 @@
     });
   }
 
+  // ======= VECTOR EXPORT =======
+
+  /**
+   * Describe the visible map as shapes, curves and text in canvas coordinates, for vector exports
+   * Node sizes and wrapped label lines come from vis.js, so the export matches the canvas
+   * whatever part of the map is in view
+   * @returns {Object} { bounds, edges, nodes }
+   */
+  function getMapScene() {
+    const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+    const extend = (left, top, right, bottom) => {
+      bounds.left = Math.min(bounds.left, left);
+      bounds.top = Math.min(bounds.top, top);
+      bounds.right = Math.max(bounds.right, right);
+      bounds.bottom = Math.max(bounds.bottom, bottom);
+    };
+
+    // Measured unhighlighted, so the selection isn't exported
+    return VisAdapter.withPlainState(network, () => {
+      const nodes = [];
+      networkData.nodes.getIds({ filter: node => !node.hidden }).forEach(id => {
+        const node = VisAdapter.getNodeGeometry(network, id);
+        if (!node) return;
+
+        const label = node.label;
+        const sceneNode = {
+          id: id,
+          shape: node.shape === 'dot' ? 'dot' : 'box',
+          x: node.x,
+          y: node.y,
+          fill: node.fill,
+          border: node.border,
+          borderWidth: node.borderWidth,
+          label: label
+        };
+
+        if (sceneNode.shape === 'dot') {
+          sceneNode.radius = node.radius;
+          label.top = node.y + sceneNode.radius + node.fontSize / 2 + DOT_LABEL_GAP;
+          extend(node.x - sceneNode.radius, node.y - sceneNode.radius, node.x + sceneNode.radius, label.top + label.height);
+          extend(node.x - label.width / 2, node.y, node.x + label.width / 2, node.y);
+        } else {
+          sceneNode.width = node.width;
+          sceneNode.height = node.height;
+          sceneNode.borderRadius = node.borderRadius;
+          label.top = node.y - label.height / 2;
+          extend(node.x - sceneNode.width / 2, node.y - sceneNode.height / 2,
+            node.x + sceneNode.width / 2, node.y + sceneNode.height / 2);
+        }
+
+        nodes.push(sceneNode);
+      });
+
+      // Edges between visible nodes, with their curve control points
+      const edges = [];
+      networkData.edges.getIds().forEach(id => {
+        const edge = VisAdapter.getEdgeGeometry(network, id);
+        if (!edge) return;
+
+        if (edge.label) {
+          const { x, y, horizontal, ...label } = edge.label;
+
+          // Labels run along the edge but are never upside down
+          let angle = Math.atan2(edge.to.y - edge.from.y, edge.to.x - edge.from.x);
+          if (angle > Math.PI / 2) angle -= Math.PI;
+          if (angle < -Math.PI / 2) angle += Math.PI;
+
+          edge.label = { ...label, top: y - label.height / 2, x: x, angle: horizontal ? 0 : angle };
+        }
+
+        edge.controls.forEach(point => extend(point.x, point.y, point.x, point.y));
+        edges.push(edge);
+      });
+
+      return { bounds: bounds, edges: edges, nodes: nodes };
+    });
+  }
+
   // ======= IMPORT/EXPORT/SHARE HANDLERS =======
   function handleShareLink() {
     if (!networkData || typeof URLState === 'undefined') {
@@ -824,11 +3180,14 @@
 
     try {
       const dataToShare = {
-        nodes: networkData.nodes,
+        nodes: getNodesWithPositions(),
         edges: networkData.edges,
+        view: getViewState(),
+        focus: focusNodeId,
         layout: el.layout.value,
         autoGroup: el.autoGroup.checked,
-        inputText: currentInputText
+        inputText: currentInputText,
+        ...getGroupSettings()
       };
 
       const shareURL = URLState.getShareableURL(dataToShare);
@@ -870,16 +3229,19 @@
 
     try {
       const jsonData = ImportExport.exportToJSON({
-        nodes: networkData.nodes,
+        nodes: getNodesWithPositions(),
         edges: networkData.edges,
         metadata: {
+          view: getViewState(),
           layout: el.layout.value,
           autoGroup: el.autoGroup.checked,
-          inputText: currentInputText
+          inputText: currentInputText,
+          title: getRootTitle(),
+          ...getGroupSettings()
         }
       });
 
-      ImportExport.downloadFile(jsonData, 'mindmap.json', 'application/json');
+      ImportExport.downloadFile(jsonData, getExportFileName('json'), 'application/json');
       showToast('Exported as JSON.');
     } catch (error) {
       console.error('JSON export error:', error);
@@ -896,7 +3258,7 @@
         edges: networkData.edges
       });
 
-      ImportExport.downloadFile(textData, 'mindmap.txt', 'text/plain');
+      ImportExport.downloadFile(textData, getExportFileName('txt'), 'text/plain');
       showToast('Exported as Text.');
     } catch (error) {
       console.error('Text export error:', error);
@@ -904,6 +3266,25 @@
     }
   }
 
+  function handleExportMarkdown() {
+    if (!networkData || typeof ImportExport === 'undefined') return;
+
+    try {
+      const markdown = ImportExport.exportToMarkdown({
+        nodes: networkData.nodes,
+        edges: networkData.edges
+      }, {
+        headingLevels: Number(el.markdownHeadings.value)
+      });
+
+      ImportExport.downloadFile(markdown, getExportFileName('md'), 'text/markdown');
+      showToast('Exported as Markdown.');
+    } catch (error) {
+      console.error('Markdown export error:', error);
+      showToast('Markdown export failed.', 'error');
+    }
+  }
+
   function handleExportFreeMind() {
     if (!networkData || typeof ImportExport === 'undefined') return;
 
@@ -913,7 +3294,7 @@
         edges: networkData.edges
       });
 
-      ImportExport.downloadFile(mmData, 'mindmap.mm', 'application/xml');
+      ImportExport.downloadFile(mmData, getExportFileName('mm'), 'application/xml');
       showToast('Exported as FreeMind .mm file.');
     } catch (error) {
       console.error('FreeMind export error:', error);
@@ -921,6 +3302,23 @@
     }
   }
 
+  function handleExportOPML() {
+    if (!networkData || typeof ImportExport === 'undefined') return;
+
+    try {
+      const opml = ImportExport.exportToOPML({
+        nodes: networkData.nodes,
+        edges: networkData.edges
+      });
+
+      ImportExport.downloadFile(opml, getExportFileName('opml'), 'text/x-opml');
+      showToast('Exported as OPML.');
+    } catch (error) {
+      console.error('OPML export error:', error);
+      showToast('OPML export failed.', 'error');
+    }
+  }
+
   function handleImport() {
     if (!el.fileImport) return;
     el.fileImport.click();
@@ -947,10 +3345,14 @@
         importedData = ImportExport.importFromJSON(content);
       } else if (fileName.endsWith('.mm')) {
         importedData = ImportExport.importFromFreeMind(content);
+      } else if (fileName.endsWith('.opml')) {
+        importedData = ImportExport.importFromOPML(content);
+      } else if (fileName.endsWith('.md') || fileName.endsWith('.markdown')) {
+        importedData = ImportExport.importFromMarkdown(content);
       } else if (fileName.endsWith('.txt')) {
         importedData = ImportExport.importFromText(content);
       } else {
-        showToast('Unsupported file format. Use .json, .mm, or .txt', 'error');
+        showToast('Unsupported file format. Use .json, .mm, .opml, .md, or .txt', 'error');
         hideProgress();
         return;
       }
@@ -967,13 +3369,15 @@
         currentInputText = importedData.metadata.inputText;
       }
 
-      // Create network data
+      // Create network data, restoring any saved arrangement
+      const saved = extractSavedPositions(importedData.nodes);
       const data = {
-        nodes: new vis.DataSet(importedData.nodes),
+        nodes: new vis.DataSet(saved.nodes),
         edges: new vis.DataSet(importedData.edges)
       };
 
       // Apply layout and autogrouping if available
+      applyMetadataGroups(importedData.metadata);
       if (importedData.metadata) {
         if (importedData.metadata.layout) {
           el.layout.value = importedData.metadata.layout;
@@ -983,7 +3387,12 @@
         }
       }
 
-      drawNetwork(data, el.layout.value);
+      manualPositions = saved.manualPositions;
+      drawNetwork(data, el.layout.value, {
+        positions: saved.positions,
+        view: importedData.metadata && importedData.metadata.view
+      });
+      syncTitleFromMap();
       hideProgress();
       showToast(`Imported from ${file.name}`);
 
@@ -1011,10 +3420,43 @@
     el.fit.disabled = true;
     el.exportSVG.disabled = true;
     el.exportPNG.disabled = true;
+    el.exportPDF.disabled = true;
     el.exportJSON.disabled = true;
     el.exportText.disabled = true;
     el.exportFreeMind.disabled = true;
+    el.exportOPML.disabled = true;
+    el.exportMarkdown.disabled = true;
     el.shareLink.disabled = true;
+    el.notes.disabled = true;
+    el.relax.disabled = true;
+
+    // Keyword groups - saved settings replace the defaults
+    if (typeof GroupSettings !== 'undefined') {
+      const savedGroups = GroupSettings.load();
+      if (savedGroups) {
+        applyGroupSettings(savedGroups);
+      }
+
+      GroupSettings.init(el.groupsModal, {
+        keywordGroups: DEFAULT_KEYWORD_GROUPS,
+        groupColors: DEFAULT_GROUP_COLORS
+      }, (settings) => {
+        applyGroupSettings(settings);
+        showToast('Keyword groups saved.');
+      });
+
+      el.groupsBtn.addEventListener('click', () => {
+        GroupSettings.open(getGroupSettings());
+      });
+    } else {
+      el.groupsBtn.hidden = true;
+    }
+
+    // Undo/redo history
+    if (typeof HistoryManager !== 'undefined') {
+      historyManager = new HistoryManager();
+    }
+    updateHistoryButtons();
 
     // Hide progress
     hideProgress();
@@ -1026,14 +3468,102 @@
     el.fit.addEventListener('click', handleFit);
     el.exportSVG.addEventListener('click', handleExportSVG);
     el.exportPNG.addEventListener('click', handleExportPNG);
+    el.exportPDF.addEventListener('click', handleExportPDF);
     el.exportJSON.addEventListener('click', handleExportJSON);
     el.exportText.addEventListener('click', handleExportText);
     el.exportFreeMind.addEventListener('click', handleExportFreeMind);
+    el.exportOPML.addEventListener('click', handleExportOPML);
+    el.exportMarkdown.addEventListener('click', handleExportMarkdown);
     el.shareLink.addEventListener('click', handleShareLink);
+
+    // PNG export dialog
+    el.pngForm.addEventListener('input', updatePNGSize);
+    el.pngForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      el.pngModal.close();
+      exportPNG();
+    });
+
+    el.pngModal.addEventListener('click', (e) => {
+      if (e.target === el.pngModal || e.target.getAttribute('data-png-action') === 'cancel') {
+        el.pngModal.close();
+      }
+    });
+
+    // PDF export dialog
+    el.pdfForm.addEventListener('input', updatePDFPages);
+    el.pdfForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      el.pdfModal.close();
+      exportPDF();
+    });
+
+    el.pdfModal.addEventListener('click', (e) => {
+      if (e.target === el.pdfModal || e.target.getAttribute('data-pdf-action') === 'cancel') {
+        el.pdfModal.close();
+      }
+    });
     el.importBtn.addEventListener('click', handleImport);
     el.fileImport.addEventListener('change', handleFileImport);
     el.layout.addEventListener('change', handleLayoutChange);
     el.autoGroup.addEventListener('change', handleAutoGroupChange);
+    el.undo.addEventListener('click', handleUndo);
+    el.redo.addEventListener('click', handleRedo);
+    el.notes.addEventListener('click', handleNotes);
+    el.focus.addEventListener('click', handleFocus);
+    el.breadcrumbs.addEventListener('click', (e) => {
+      const crumb = e.target.closest('[data-focus]');
+      if (crumb) {
+        setFocus(crumb.dataset.focus);
+      }
+    });
+
+    // Notes panel - notes are saved when the field loses focus
+    if (el.notesPanel) {
+      el.notesInput.addEventListener('change', saveNotesFromPanel);
+      el.notesInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+          closeNotesPanel();
+        }
+      });
+      $('[data-action="closeNotes"]').addEventListener('click', closeNotesPanel);
+    }
+
+    // Forces panel - settings apply to the next force layout or relax, or straight away while relaxing
+    el.forces.addEventListener('click', () => {
+      el.forcesPanel.hidden = !el.forcesPanel.hidden;
+    });
+    $('[data-action="closeForces"]').addEventListener('click', () => {
+      el.forcesPanel.hidden = true;
+    });
+    [el.forceGravity, el.forceSpringLength, el.forceAvoidOverlap].forEach(input => {
+      input.addEventListener('input', handleForceSettingChange);
+    });
+    el.relax.addEventListener('click', handleRelax);
+
+    // Folding by click needs the selection as it was before the click
+    el.network.addEventListener('pointerdown', rememberSelection, true);
+
+    // Multi-selection - Ctrl+drag on empty canvas draws a selection box
+    el.network.addEventListener('pointerdown', startRubberBand, true);
+    window.addEventListener('pointermove', moveRubberBand);
+    window.addEventListener('pointerup', endRubberBand);
+    el.bulkColor.addEventListener('change', () => recolorSelection(el.bulkColor.value));
+    el.bulkGroup.addEventListener('focus', fillGroupOptions);
+    el.bulkGroup.addEventListener('change', () => {
+      setSelectionGroup(el.bulkGroup.value);
+      el.bulkGroup.value = '';
+    });
+    $$('[data-bulk]').forEach(btn => {
+      btn.addEventListener('click', () => handleBulkAction(btn.dataset.bulk));
+    });
+    fillGroupOptions();
+
+    // Grid, align and distribute
+    el.snapGrid.addEventListener('change', handleSnapGridChange);
+    $$('[data-arrange]').forEach(btn => {
+      btn.addEventListener('click', () => arrangeSelectedNodes(btn.dataset.arrange));
+    });
 
     // Toolbar formatting controls
     // Handle toggle buttons (B, I, U)
@@ -1075,6 +3605,42 @@
     // Enable live editing of textarea - regenerate mind map when text changes
     el.input.addEventListener('input', handleTextareaChange);
 
+    // Hold Shift to draw cross-links by dragging from one node to another
+    document.addEventListener('keydown', (e) => {
+      const typing = e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA';
+      if (e.key === 'Shift' && !e.repeat && !typing && network) {
+        network.addEdgeMode();
+      }
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && reparentIds) {
+        reparentIds = null;
+        showToast('Move cancelled.');
+      }
+    });
+
+    document.addEventListener('keyup', (e) => {
+      if (e.key === 'Shift' && network) {
+        network.disableEditMode();
+      }
+    });
+
+    window.addEventListener('blur', () => {
+      if (network) {
+        network.disableEditMode();
+      }
+    });
+
+    // Rename the central topic in place
+    if (el.rootTitle) {
+      el.rootTitle.addEventListener('change', () => {
+        if (!networkData) return;
+        setRootTitle(el.rootTitle.value);
+        recordHistory();
+      });
+    }
+
     // Guide modal handlers
     el.guideBtn.addEventListener('click', () => {
       el.guideModal.showModal();
@@ -1120,7 +3686,8 @@
             currentInputText = urlData.metadata.inputText;
           }
 
-          // Restore layout and autogroup settings
+          // Restore layout, autogroup and keyword group settings
+          applyMetadataGroups(urlData.metadata);
           if (urlData.metadata) {
             if (urlData.metadata.layout) {
               el.layout.value = urlData.metadata.layout;
@@ -1128,16 +3695,23 @@
             if (urlData.metadata.autoGroup !== undefined) {
               el.autoGroup.checked = urlData.metadata.autoGroup;
             }
+            focusNodeId = urlData.metadata.focus || null;
           }
 
-          // Create network data
+          // Create network data, restoring the saved arrangement
+          const saved = extractSavedPositions(urlData.nodes);
           const data = {
-            nodes: new vis.DataSet(urlData.nodes),
+            nodes: new vis.DataSet(saved.nodes),
             edges: new vis.DataSet(urlData.edges)
           };
 
           // Draw network
-          drawNetwork(data, el.layout.value);
+          manualPositions = saved.manualPositions;
+          drawNetwork(data, el.layout.value, {
+            positions: saved.positions,
+            view: urlData.metadata && urlData.metadata.view
+          });
+          syncTitleFromMap();
           hideProgress();
           showToast('Mind map loaded from URL!');
         } else {
@@ -0,0 +1,238 @@
+// Group Settings Module
+// User-editable keyword groups and colours for auto-grouping
+(function (window) {
+    'use strict';
+
+    const STORAGE_KEY = 'mindmap-keyword-groups';
+    const OTHER_GROUP = 'Other';
+
+    // #rrggbb only - the colour inputs in the dialog can't show any other form
+    const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+    const GroupSettings = {
+        dialog: null,
+        draft: null,
+        defaults: null,
+        onSave: null,
+
+        /**
+         * Initialize settings dialog
+         * @param {HTMLDialogElement} dialog - dialog element with [data-groups-list]
+         * @param {Object} defaults - { keywordGroups, groupColors } used for reset
+         * @param {Function} callback - called with the new settings when saved
+         */
+        init: function (dialog, defaults, callback) {
+            this.dialog = dialog;
+            this.defaults = this.clone(defaults);
+            this.onSave = callback || null;
+
+            if (!this.dialog) return;
+
+            this.dialog.addEventListener('click', (e) => {
+                const action = e.target.getAttribute('data-groups-action');
+
+                if (e.target === this.dialog || action === 'cancel') {
+                    this.dialog.close();
+                } else if (action === 'add') {
+                    this.readForm();
+                    this.draft.groups.push({ name: '', color: '#6366F1', keywords: [] });
+                    this.render();
+                } else if (action === 'delete') {
+                    this.readForm();
+                    this.draft.groups.splice(Number(e.target.getAttribute('data-index')), 1);
+                    this.render();
+                } else if (action === 'reset') {
+                    this.draft = this.toDraft(this.defaults);
+                    this.render();
+                } else if (action === 'save') {
+                    this.save();
+                }
+            });
+        },
+
+        /**
+         * Load saved settings from localStorage
+         * @returns {Object|null} { keywordGroups, groupColors } or null if none saved
+         */
+        load: function () {
+            try {
+                const saved = window.localStorage.getItem(STORAGE_KEY);
+                return saved ? this.validate(JSON.parse(saved)) : null;
+            } catch (error) {
+                console.error('Failed to load keyword groups:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Persist settings to localStorage
+         * @param {Object} settings - { keywordGroups, groupColors }
+         */
+        persist: function (settings) {
+            try {
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+            } catch (error) {
+                console.error('Failed to save keyword groups:', error);
+            }
+        },
+
+        /**
+         * Check settings read from storage, a file or a URL
+         * @param {Object} settings
+         * @returns {Object|null} Settings or null if malformed
+         */
+        validate: function (settings) {
+            if (!settings || !settings.keywordGroups || !settings.groupColors ||
+                typeof settings.keywordGroups !== 'object' || typeof settings.groupColors !== 'object') {
+                return null;
+            }
+
+            const validKeywords = Object.values(settings.keywordGroups).every(keywords =>
+                Array.isArray(keywords) && keywords.every(kw => typeof kw === 'string')
+            );
+            const validColors = Object.values(settings.groupColors).every(color =>
+                typeof color === 'string' && COLOR_PATTERN.test(color.trim())
+            );
+
+            if (!validKeywords || !validColors) {
+                return null;
+            }
+
+            // Keywords are matched as typed in the dialog: trimmed and lower case
+            const keywordGroups = {};
+            Object.entries(settings.keywordGroups).forEach(([name, keywords]) => {
+                keywordGroups[name] = keywords.map(kw => kw.trim().toLowerCase()).filter(Boolean);
+            });
+
+            const groupColors = {};
+            Object.entries(settings.groupColors).forEach(([name, color]) => {
+                groupColors[name] = color.trim();
+            });
+
+            return { keywordGroups: keywordGroups, groupColors: groupColors };
+        },
+
+        /**
+         * Open the dialog with the current settings
+         * @param {Object} settings - { keywordGroups, groupColors }
+         */
+        open: function (settings) {
+            if (!this.dialog) return;
+
+            this.draft = this.toDraft(settings);
+            this.render();
+            this.dialog.showModal();
+        },
+
+        /**
+         * Convert settings to an editable list of groups
+         */
+        toDraft: function (settings) {
+            return {
+                groups: Object.entries(settings.keywordGroups).map(([name, keywords]) => ({
+                    name: name,
+                    color: settings.groupColors[name] || settings.groupColors[OTHER_GROUP],
+                    keywords: keywords.slice()
+                })),
+                otherColor: settings.groupColors[OTHER_GROUP]
+            };
+        },
+
+        /**
+         * Render the editable group rows
+         */
+        render: function () {
+            const list = this.dialog.querySelector('[data-groups-list]');
+
+            list.innerHTML = this.draft.groups.map((group, index) => `
+                <div class="group-row" data-index="${index}">
+                    <input type="color" class="group-color" value="${this.escapeAttr(group.color)}" aria-label="Group colour">
+                    <input type="text" class="group-name" value="${this.escapeAttr(group.name)}" placeholder="Group name" aria-label="Group name">
+                    <input type="text" class="group-keywords" value="${this.escapeAttr(group.keywords.join(', '))}" placeholder="keyword, keyword" aria-label="Keywords">
+                    <button type="button" class="btn-icon group-delete" data-groups-action="delete" data-index="${index}" aria-label="Delete group" title="Delete group">🗑️</button>
+                </div>
+            `).join('') + `
+                <div class="group-row group-row-other">
+                    <input type="color" class="group-color" data-group-other value="${this.escapeAttr(this.draft.otherColor)}" aria-label="Other group colour">
+                    <span class="group-name">${OTHER_GROUP}</span>
+                    <span class="group-keywords">Tasks that match no keywords</span>
+                </div>
+            `;
+        },
+
+        /**
+         * Read the rows back into the draft
+         */
+        readForm: function () {
+            const rows = Array.from(this.dialog.querySelectorAll('.group-row[data-index]'));
+
+            this.draft.groups = rows.map(row => ({
+                name: row.querySelector('.group-name').value.trim(),
+                color: row.querySelector('.group-color').value,
+                keywords: row.querySelector('.group-keywords').value
+                    .split(',')
+                    .map(kw => kw.trim().toLowerCase())
+                    .filter(Boolean)
+            }));
+            this.draft.otherColor = this.dialog.querySelector('[data-group-other]').value;
+        },
+
+        /**
+         * Validate the draft and hand the new settings to the app
+         */
+        save: function () {
+            this.readForm();
+
+            const error = this.dialog.querySelector('[data-groups-error]');
+            const names = this.draft.groups.map(group => group.name);
+            let message = '';
+
+            if (names.some(name => !name)) {
+                message = 'Every group needs a name.';
+            } else if (names.some(name => name.toLowerCase() === OTHER_GROUP.toLowerCase())) {
+                message = `"${OTHER_GROUP}" is reserved for unmatched tasks.`;
+            } else if (new Set(names.map(name => name.toLowerCase())).size !== names.length) {
+                message = 'Group names must be unique.';
+            }
+
+            error.textContent = message;
+            if (message) return;
+
+            const settings = { keywordGroups: {}, groupColors: {} };
+            this.draft.groups.forEach(group => {
+                settings.keywordGroups[group.name] = group.keywords;
+                settings.groupColors[group.name] = group.color;
+            });
+            settings.groupColors[OTHER_GROUP] = this.draft.otherColor;
+
+            this.persist(settings);
+            this.dialog.close();
+
+            if (this.onSave) {
+                this.onSave(settings);
+            }
+        },
+
+        /**
+         * Deep clone plain settings
+         */
+        clone: function (settings) {
+            return JSON.parse(JSON.stringify(settings));
+        },
+
+        /**
+         * Escape a value for use in an HTML attribute
+         */
+        escapeAttr: function (str) {
+            return String(str)
+                .replace(/&/g, '&amp;')
+                .replace(/"/g, '&quot;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;');
+        }
+    };
+
+    // Export to window
+    window.GroupSettings = GroupSettings;
+
+})(window);
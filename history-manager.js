@@ -13,17 +13,17 @@
 
         /**
          * Save current state
-         * @param {Object} networkData - Network data with nodes and edges
+         * @param {Object} networkData - Network data with nodes and edges, plus any other state to restore with them
          */
         saveState(networkData) {
             if (!this.enabled || !networkData) return;
 
-            console.log('HistoryManager: saveState called. Current index:', this.currentIndex);
-
-            // Clone data
+            // Deep clone data so later edits to the live DataSets don't leak into history
+            const { nodes, edges, ...extra } = networkData;
             const state = {
-                nodes: networkData.nodes.get ? networkData.nodes.get() : networkData.nodes,
-                edges: networkData.edges.get ? networkData.edges.get() : networkData.edges,
+                ...this.clone(extra),
+                nodes: this.clone(nodes.get ? nodes.get() : nodes),
+                edges: this.clone(edges.get ? edges.get() : edges),
                 timestamp: Date.now()
             };
 
@@ -39,7 +39,6 @@
             } else {
                 this.currentIndex++;
             }
-            console.log('HistoryManager: State saved. New index:', this.currentIndex, 'Total states:', this.states.length);
         }
 
         /**
@@ -111,6 +110,15 @@
         getCurrentIndex() {
             return this.currentIndex;
         }
+
+        /**
+         * Deep clone plain state data
+         * @param {Array} items - Nodes or edges
+         * @returns {Array}
+         */
+        clone(items) {
+            return JSON.parse(JSON.stringify(items));
+        }
     }
 
     // Export to window
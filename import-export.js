@@ -1,5 +1,5 @@
 // Import/Export Module
-// Handles multi-format data import/export (JSON, Text, FreeMind)
+// Handles multi-format data import/export (JSON, Text, Markdown, FreeMind, OPML, SVG)
 (function (window) {
     'use strict';
 
@@ -34,17 +34,22 @@
             // Build tree structure from nodes and edges
             const nodeMap = new Map();
             nodes.forEach(node => {
-                nodeMap.set(node.id, { ...node, children: [] });
+                nodeMap.set(node.id, { ...node, children: [], links: [] });
             });
 
-            // Build parent-child relationships
+            // Build parent-child relationships, keeping cross-links for the task lines
             edges.forEach(edge => {
                 const parent = nodeMap.get(edge.from);
                 const child = nodeMap.get(edge.to);
-                if (parent && child) {
+                if (!parent || !child) return;
+
+                if (edge.link) {
+                    parent.links.push({ target: child, label: edge.label });
+                } else {
                     parent.children.push(child);
                 }
             });
+            nodeMap.forEach(node => node.children.sort(TaskModel.compareSiblings));
 
             // Find root node (usually 'root')
             const rootNode = nodeMap.get('root');
@@ -52,7 +57,8 @@
                 return '# Mind Map Export\n\n(No data)';
             }
 
-            let output = '# Mind Map Export\n\n';
+            // Root topic becomes the heading, so importFromText can restore it
+            let output = `# ${rootNode.originalText || rootNode.label || 'Mind Map'}\n\n`;
 
             // Recursive function to build text outline
             function buildOutline(node, level) {
@@ -63,7 +69,14 @@
                 }
 
                 const indent = '  '.repeat(level);
-                output += indent + node.label + '\n';
+                output += indent + ImportExport.formatTask(node, node.links) + '\n';
+
+                // Notes are nested below the task as "> " lines
+                if (node.notes) {
+                    node.notes.split('\n').forEach(line => {
+                        output += indent + '  ' + ('> ' + line).trimEnd() + '\n';
+                    });
+                }
 
                 // Process children
                 node.children.forEach(child => buildOutline(child, level + 1));
@@ -73,6 +86,131 @@
             return output;
         },
 
+        /**
+         * Export mind map to Markdown as nested bullet lists
+         * Task checkboxes, tags, priorities, due dates and cross-links are written as in the task input,
+         * and notes as block quotes below their task
+         * @param {Object} data - Mind map data
+         * @param {Object} options - headingLevels (how many top levels are written as headings instead of bullets)
+         * @returns {string} Markdown
+         */
+        exportToMarkdown: function (data, options = {}) {
+            const nodes = data.nodes.get ? data.nodes.get() : data.nodes;
+            const edges = data.edges.get ? data.edges.get() : data.edges;
+            const headingLevels = Math.max(0, Math.min(5, options.headingLevels || 0));
+
+            const nodeMap = new Map();
+            nodes.forEach(node => {
+                nodeMap.set(node.id, { ...node, children: [], links: [] });
+            });
+
+            edges.forEach(edge => {
+                const parent = nodeMap.get(edge.from);
+                const child = nodeMap.get(edge.to);
+                if (!parent || !child) return;
+
+                if (edge.link) {
+                    parent.links.push({ target: child, label: edge.label });
+                } else {
+                    parent.children.push(child);
+                }
+            });
+            nodeMap.forEach(node => node.children.sort(TaskModel.compareSiblings));
+
+            const rootNode = nodeMap.get('root');
+            if (!rootNode) {
+                return '# Mind Map\n';
+            }
+
+            let output = `# ${rootNode.originalText || rootNode.label || 'Mind Map'}\n`;
+            let needsBlankLine = true; // Lists and quotes are separated from headings by a blank line
+
+            const writeNode = (node, depth) => {
+                // Text that would read as a heading, quote or list marker is escaped
+                const text = this.formatTask(node, node.links)
+                    .replace(/^([#>+*-])/, '\\$1')
+                    .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+                const notes = node.notes ? node.notes.split('\n') : [];
+
+                if (depth < headingLevels) {
+                    output += `\n${'#'.repeat(depth + 2)} ${text}\n`;
+                    if (notes.length) {
+                        output += '\n' + notes.map(line => ('> ' + line).trimEnd()).join('\n') + '\n';
+                    }
+                    needsBlankLine = true;
+                } else {
+                    const indent = '  '.repeat(depth - headingLevels);
+                    if (needsBlankLine) {
+                        output += '\n';
+                        needsBlankLine = false;
+                    }
+                    output += `${indent}- ${text}\n`;
+                    notes.forEach(line => {
+                        output += `${indent}  ` + ('> ' + line).trimEnd() + '\n';
+                    });
+                }
+
+                node.children.forEach(child => writeNode(child, depth + 1));
+            };
+
+            rootNode.children.forEach(child => writeNode(child, 0));
+            return output;
+        },
+
+        /**
+         * Write a node as a task line with its metadata tokens, as typed in the task input
+         * Cross-links whose target matched no task are always written; resolved ones only when given
+         * @param {Object} node - Exported node
+         * @param {Array} links - [{ target, label }] with target nodes, for the node's cross-links
+         * @returns {string}
+         */
+        formatTask: function (node, links) {
+            return TaskModel.formatTaskLine({
+                text: node.originalText || node.label || 'Node',
+                tags: node.tags,
+                priority: node.priority,
+                due: node.due,
+                done: node.done,
+                links: links
+                    .map(link => ({ target: link.target.originalText || link.target.label, label: link.label || '' }))
+                    .concat(node.unresolvedLinks || [])
+            });
+        },
+
+        /**
+         * List the tasks below the root in outline order, for printing
+         * @param {Object} data - Mind map data
+         * @returns {Array} [{ text, level, notes }] with level 0 for top-level tasks
+         */
+        exportToOutline: function (data) {
+            const nodes = data.nodes.get ? data.nodes.get() : data.nodes;
+            const edges = data.edges.get ? data.edges.get() : data.edges;
+            const children = new Map();
+
+            edges.forEach(edge => {
+                if (edge.link) return;
+                if (!children.has(edge.from)) children.set(edge.from, []);
+                children.get(edge.from).push(edge.to);
+            });
+
+            const nodeMap = new Map(nodes.map(node => [node.id, node]));
+            const items = [];
+
+            const visit = (nodeId, level) => {
+                (children.get(nodeId) || [])
+                    .map(childId => nodeMap.get(childId))
+                    .filter(Boolean)
+                    .sort(TaskModel.compareSiblings)
+                    .forEach(node => {
+                        items.push({ text: node.originalText || node.label, level: level, notes: node.notes || '' });
+                        visit(node.id, level + 1);
+                    });
+            };
+
+            visit('root', 0);
+            return items;
+        },
+
         /**
          * Export mind map to FreeMind .mm XML format
          * @param {Object} data - Mind map data
@@ -82,19 +220,24 @@
             const nodes = data.nodes.get ? data.nodes.get() : data.nodes;
             const edges = data.edges.get ? data.edges.get() : data.edges;
 
-            // Build tree structure
+            // Build tree structure, keeping cross-links for arrowlink elements
             const nodeMap = new Map();
             nodes.forEach(node => {
-                nodeMap.set(node.id, { ...node, children: [] });
+                nodeMap.set(node.id, { ...node, children: [], links: [] });
             });
 
             edges.forEach(edge => {
                 const parent = nodeMap.get(edge.from);
                 const child = nodeMap.get(edge.to);
-                if (parent && child) {
+                if (!parent || !child) return;
+
+                if (edge.link) {
+                    parent.links.push(edge);
+                } else {
                     parent.children.push(child);
                 }
             });
+            nodeMap.forEach(node => node.children.sort(TaskModel.compareSiblings));
 
             const rootNode = nodeMap.get('root');
             if (!rootNode) {
@@ -107,19 +250,28 @@
             // Recursive function to build FreeMind XML
             function buildNode(node, level) {
                 const indent = '  '.repeat(level);
-                const text = this.escapeXML(node.label || 'Node');
+                const text = this.escapeXML(this.formatTask(node, []));
+                const id = this.escapeXML(node.id);
+                const folded = node.collapsed && node.children.length > 0 ? ' FOLDED="true"' : '';
 
-                if (node.children.length > 0) {
-                    xml += `${indent}<node TEXT="${text}">\n`;
+                if (node.children.length > 0 || node.links.length > 0 || node.notes) {
+                    xml += `${indent}<node ID="${id}" TEXT="${text}"${folded}>\n`;
+                    if (node.notes) {
+                        xml += this.buildNoteXML(node.notes, indent + '  ');
+                    }
+                    node.links.forEach(link => {
+                        const label = link.label ? ` MIDDLE_LABEL="${this.escapeXML(link.label)}"` : '';
+                        xml += `${indent}  <arrowlink DESTINATION="${this.escapeXML(link.to)}" ENDARROW="Default" STARTARROW="None"${label}/>\n`;
+                    });
                     node.children.forEach(child => buildNode.call(this, child, level + 1));
                     xml += `${indent}</node>\n`;
                 } else {
-                    xml += `${indent}<node TEXT="${text}"/>\n`;
+                    xml += `${indent}<node ID="${id}" TEXT="${text}"/>\n`;
                 }
             }
 
             // Start with root node
-            const text = this.escapeXML(rootNode.label || 'Mind Map');
+            const text = this.escapeXML(rootNode.originalText || rootNode.label || 'Mind Map');
             xml += `  <node TEXT="${text}">\n`;
             rootNode.children.forEach(child => buildNode.call(this, child, 2));
             xml += '  </node>\n';
@@ -128,6 +280,268 @@
             return xml;
         },
 
+        /**
+         * Export mind map to OPML, for outliners
+         * Each task is an outline element; notes go in _note, and checkboxes, tags, priorities,
+         * due dates and folds in custom attributes. Cross-links have no OPML equivalent and are left out
+         * @param {Object} data - Mind map data
+         * @returns {string} OPML XML
+         */
+        exportToOPML: function (data) {
+            const nodes = data.nodes.get ? data.nodes.get() : data.nodes;
+            const edges = data.edges.get ? data.edges.get() : data.edges;
+
+            const nodeMap = new Map();
+            nodes.forEach(node => {
+                nodeMap.set(node.id, { ...node, children: [] });
+            });
+
+            edges.forEach(edge => {
+                const parent = nodeMap.get(edge.from);
+                const child = nodeMap.get(edge.to);
+                if (parent && child && !edge.link) {
+                    parent.children.push(child);
+                }
+            });
+            nodeMap.forEach(node => node.children.sort(TaskModel.compareSiblings));
+
+            const rootNode = nodeMap.get('root');
+            const title = rootNode ? (rootNode.originalText || rootNode.label || 'Mind Map') : 'Mind Map';
+
+            let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+            xml += '<opml version="2.0">\n';
+            xml += '  <head>\n';
+            xml += `    <title>${this.escapeXML(title)}</title>\n`;
+            xml += `    <dateCreated>${new Date().toUTCString()}</dateCreated>\n`;
+            xml += '  </head>\n';
+            xml += '  <body>\n';
+
+            // Attribute values keep line breaks only as character references
+            const attribute = (name, value) => ` ${name}="${this.escapeXML(value).replace(/\r?\n/g, '&#10;')}"`;
+
+            const buildOutline = (node, level) => {
+                const indent = '  '.repeat(level);
+                let attributes = attribute('text', node.originalText || node.label || 'Node');
+
+                if (node.notes) attributes += attribute('_note', node.notes);
+                if (node.done === true) attributes += attribute('_status', 'checked');
+                if (node.done === false) attributes += attribute('_status', 'unchecked');
+                if (node.tags && node.tags.length) attributes += attribute('_tags', node.tags.join(','));
+                if (node.priority) attributes += attribute('_priority', node.priority);
+                if (node.due) attributes += attribute('_due', node.due);
+                if (node.collapsed && node.children.length > 0) attributes += attribute('_collapsed', 'true');
+
+                if (node.children.length > 0) {
+                    xml += `${indent}<outline${attributes}>\n`;
+                    node.children.forEach(child => buildOutline(child, level + 1));
+                    xml += `${indent}</outline>\n`;
+                } else {
+                    xml += `${indent}<outline${attributes}/>\n`;
+                }
+            };
+
+            if (rootNode) {
+                rootNode.children.forEach(child => buildOutline(child, 2));
+            }
+
+            xml += '  </body>\n';
+            xml += '</opml>\n';
+
+            return xml;
+        },
+
+        /**
+         * Export the map as a vector SVG drawing
+         * Edges are drawn first and nodes on top of them, then arrow heads and edge labels, as vis.js does
+         * @param {Object} scene - { bounds, edges, nodes } in canvas coordinates
+         * @param {Object} options - title (of the drawing), background (fill colour), padding (around the map)
+         * @returns {string} SVG XML
+         */
+        exportToSVG: function (scene, options = {}) {
+            const padding = options.padding !== undefined ? options.padding : 40;
+            const bounds = Number.isFinite(scene.bounds.left)
+                ? scene.bounds
+                : { left: 0, top: 0, right: 0, bottom: 0 };
+            const left = this.round(bounds.left - padding);
+            const top = this.round(bounds.top - padding);
+            const width = this.round(bounds.right - bounds.left + 2 * padding);
+            const height = this.round(bounds.bottom - bounds.top + 2 * padding);
+
+            let svg = '<?xml version="1.0" encoding="UTF-8"?>\n';
+            svg += `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${left} ${top} ${width} ${height}">\n`;
+            if (options.title) {
+                svg += `  <title>${this.escapeXML(options.title)}</title>\n`;
+            }
+            if (options.background) {
+                svg += `  <rect x="${left}" y="${top}" width="${width}" height="${height}" fill="${this.escapeXML(options.background)}"/>\n`;
+            }
+
+            svg += '  <g class="edges" fill="none" stroke-linecap="round">\n';
+            scene.edges.forEach(edge => {
+                const dashes = edge.dashes ? ` stroke-dasharray="${edge.dashes.join(' ')}"` : '';
+                svg += `    <path d="${this.buildSVGPath(edge)}" stroke="${this.escapeXML(edge.color)}" stroke-width="${edge.width}"${dashes}/>\n`;
+            });
+            svg += '  </g>\n';
+
+            svg += '  <g class="nodes">\n';
+            scene.nodes.forEach(node => {
+                const style = `fill="${this.escapeXML(node.fill)}" stroke="${this.escapeXML(node.border)}" stroke-width="${node.borderWidth}"`;
+                svg += `    <g data-id="${this.escapeXML(node.id)}">\n`;
+                if (node.shape === 'dot') {
+                    svg += `      <circle cx="${this.round(node.x)}" cy="${this.round(node.y)}" r="${node.radius}" ${style}/>\n`;
+                } else {
+                    svg += `      <rect x="${this.round(node.x - node.width / 2)}" y="${this.round(node.y - node.height / 2)}" ` +
+                        `width="${this.round(node.width)}" height="${this.round(node.height)}" rx="${node.borderRadius}" ${style}/>\n`;
+                }
+                svg += this.buildSVGLabel(node.label, node.x, '      ');
+                svg += '    </g>\n';
+            });
+            svg += '  </g>\n';
+
+            svg += '  <g class="arrows">\n';
+            scene.edges.filter(edge => edge.arrow).forEach(edge => {
+                svg += `    <polygon points="${this.buildSVGArrow(edge.arrow)}" fill="${this.escapeXML(edge.color)}"/>\n`;
+            });
+            svg += '  </g>\n';
+
+            svg += '  <g class="edge-labels">\n';
+            scene.edges.filter(edge => edge.label).forEach(edge => {
+                const label = edge.label;
+                const angle = this.round(label.angle * 180 / Math.PI);
+                const stroke = label.strokeWidth > 0
+                    ? ` stroke="${this.escapeXML(label.strokeColor)}" stroke-width="${label.strokeWidth}" stroke-linejoin="round" paint-order="stroke"`
+                    : '';
+                svg += `    <g transform="rotate(${angle} ${this.round(label.x)} ${this.round(label.top + label.height / 2)})"${stroke}>\n`;
+                svg += this.buildSVGLabel(label, label.x, '      ');
+                svg += '    </g>\n';
+            });
+            svg += '  </g>\n';
+
+            svg += '</svg>\n';
+            return svg;
+        },
+
+        /**
+         * Build the path data of an edge: straight, quadratic or cubic depending on its control points
+         * @param {Object} edge - { from, to, controls }
+         * @returns {string}
+         */
+        buildSVGPath: function (edge) {
+            const point = (p) => `${this.round(p.x)} ${this.round(p.y)}`;
+            const start = `M ${point(edge.from)}`;
+
+            if (edge.controls.length === 2) {
+                return `${start} C ${point(edge.controls[0])}, ${point(edge.controls[1])}, ${point(edge.to)}`;
+            }
+            if (edge.controls.length === 1) {
+                return `${start} Q ${point(edge.controls[0])}, ${point(edge.to)}`;
+            }
+            return `${start} L ${point(edge.to)}`;
+        },
+
+        /**
+         * Build the corners of an arrow head in vis.js's shape: a triangle with a notch at the back
+         * @param {Object} arrow - { x, y, angle, length } with the tip at x, y
+         * @returns {string} Polygon points
+         */
+        buildSVGArrow: function (arrow) {
+            const cos = Math.cos(arrow.angle);
+            const sin = Math.sin(arrow.angle);
+
+            return [[0, 0], [-1, 0.3], [-0.9, 0], [-1, -0.3]]
+                .map(([x, y]) => {
+                    const px = arrow.x + (x * cos - y * sin) * arrow.length;
+                    const py = arrow.y + (x * sin + y * cos) * arrow.length;
+                    return `${this.round(px)},${this.round(py)}`;
+                })
+                .join(' ');
+        },
+
+        /**
+         * Build one text element per label line, centred on x, with a tspan per font run
+         * @param {Object} label - { top, lines: [{ height, blocks: [{ text, font, color }] }] }
+         * @param {number} x - Horizontal centre
+         * @param {string} indent - Indentation of the text elements
+         * @returns {string} SVG XML
+         */
+        buildSVGLabel: function (label, x, indent) {
+            let svg = '';
+            let y = label.top;
+
+            label.lines.forEach(line => {
+                const centre = y + line.height / 2;
+                y += line.height;
+                if (line.blocks.length === 0) return;
+
+                const spans = line.blocks.map(block =>
+                    `<tspan style="font: ${this.escapeXML(block.font)}" fill="${this.escapeXML(block.color)}">${this.escapeXML(block.text)}</tspan>`
+                ).join('');
+                svg += `${indent}<text x="${this.round(x)}" y="${this.round(centre)}" text-anchor="middle" ` +
+                    `dominant-baseline="central" xml:space="preserve">${spans}</text>\n`;
+            });
+
+            return svg;
+        },
+
+        /**
+         * Round a coordinate to two decimals to keep exported files small
+         * @param {number} value
+         * @returns {number}
+         */
+        round: function (value) {
+            return Math.round(value * 100) / 100;
+        },
+
+        /**
+         * Build a FreeMind richcontent note with one paragraph per line
+         * @param {string} notes - Multi-line note text
+         * @param {string} indent - Indentation of the richcontent element
+         * @returns {string} XML
+         */
+        buildNoteXML: function (notes, indent) {
+            const paragraphs = notes.split('\n')
+                .map(line => `${indent}      <p>${this.escapeXML(line)}</p>\n`)
+                .join('');
+
+            return `${indent}<richcontent TYPE="NOTE">\n` +
+                `${indent}  <html>\n${indent}    <head></head>\n${indent}    <body>\n` +
+                paragraphs +
+                `${indent}    </body>\n${indent}  </html>\n` +
+                `${indent}</richcontent>\n`;
+        },
+
+        /**
+         * Add the notes indicator to the labels of imported nodes that have notes
+         * @param {Array} nodes - Imported nodes, updated in place
+         */
+        markNotes: function (nodes) {
+            nodes.forEach(node => {
+                if (node.notes) {
+                    node.label += ' 📝';
+                    node.title = `${node.originalText}\n\n${node.notes}`;
+                }
+            });
+        },
+
+        /**
+         * Read the text of a FreeMind richcontent note
+         * @param {Element} xmlNode - FreeMind node element
+         * @returns {string} Note text, one line per paragraph
+         */
+        readNoteXML: function (xmlNode) {
+            const richContent = Array.from(xmlNode.children).find(child =>
+                child.tagName === 'richcontent' && child.getAttribute('TYPE') === 'NOTE'
+            );
+            if (!richContent) return '';
+
+            const paragraphs = Array.from(richContent.getElementsByTagName('p'));
+            const text = paragraphs.length > 0
+                ? paragraphs.map(p => p.textContent.replace(/\s+/g, ' ').trim()).join('\n')
+                : richContent.textContent;
+
+            return text.replace(/^\s+|\s+$/g, '');
+        },
+
         /**
          * Import mind map from JSON
          * @param {string} jsonString - JSON data
@@ -160,7 +574,8 @@
          */
         importFromText: function (text) {
             try {
-                const lines = text.split(/\r?\n/).filter(line => {
+                const allLines = text.split(/\r?\n/);
+                let lines = allLines.filter(line => {
                     const trimmed = line.trim();
                     return trimmed && !trimmed.startsWith('#');
                 });
@@ -169,66 +584,245 @@
                     return null;
                 }
 
-                const nodes = [];
-                const edges = [];
-                let nodeId = 0;
-
-                // Root node
-                nodes.push({
-                    id: 'root',
-                    label: 'Mind Map',
-                    level: 0,
-                    color: '#F59E0B',
-                    font: { size: 28, face: 'Inter', bold: true },
-                    shape: 'dot',
-                    size: 40
-                });
+                // Root topic from a "# Title" heading (as written by exportToPlainText)
+                const heading = allLines.map(line => line.match(/^#\s+(.+)$/)).find(Boolean);
+                let rootTitle = heading ? heading[1].trim() : 'Mind Map';
+                if (rootTitle === 'Mind Map Export') {
+                    rootTitle = 'Mind Map'; // Header of older exports
+                }
 
-                const stack = [{ id: 'root', level: -1 }];
+                // Or from a lone first line with every other line indented below it
+                const indentOf = (line) => line.match(/^(\s*)/)[1].length;
+                if (!heading && lines.length > 1 && indentOf(lines[0]) === 0 &&
+                    lines.slice(1).every(line => indentOf(line) > 0)) {
+                    rootTitle = lines[0].trim();
+                    const shift = Math.min(...lines.slice(1).map(line => line.match(/^(\s*)/)[1].replace(/\t/g, '  ').length));
+                    lines = lines.slice(1).map(line => line.replace(/\t/g, '  ').substring(shift));
+                }
 
-                lines.forEach(line => {
-                    // Calculate indent level (2 spaces = 1 level)
+                // Calculate indent level (2 spaces = 1 level)
+                const entries = lines.map(line => {
                     const match = line.match(/^(\s*)/);
                     const spaces = match ? match[1].replace(/\t/g, '  ') : '';
-                    const level = Math.floor(spaces.length / 2);
-                    const text = line.trim();
+                    return { level: Math.floor(spaces.length / 2), text: line.trim() };
+                });
 
-                    if (!text) return;
+                const { nodes, edges } = this.buildImportedMap(rootTitle, entries);
+                return { nodes, edges, metadata: {} };
+            } catch (error) {
+                console.error('Text import failed:', error);
+                return null;
+            }
+        },
 
-                    const id = `task_${nodeId++}`;
+        /**
+         * Import mind map from Markdown
+         * Headings and nested bullet or numbered lists become levels, and a single top heading
+         * becomes the central topic; code blocks and rules are skipped. Items are read as task lines,
+         * with their metadata tokens and cross-links
+         * @param {string} text - Markdown
+         * @returns {Object|null} Generated nodes and edges
+         */
+        importFromMarkdown: function (text) {
+            try {
+                const headingPattern = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+                const listItemPattern = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+                const fencePattern = /^\s*(```|~~~)/;
+                const rulePattern = /^\s*([-*_])(\s*\1){2,}\s*$/;
 
-                    // Pop stack to find correct parent
-                    while (stack.length > 1 && stack[stack.length - 1].level >= level) {
-                        stack.pop();
+                let inFence = false;
+                const lines = text.split(/\r?\n/).filter(line => {
+                    if (fencePattern.test(line)) {
+                        inFence = !inFence;
+                        return false;
                     }
+                    return !inFence && line.trim() && !rulePattern.test(line);
+                });
 
-                    const parent = stack[stack.length - 1];
+                if (lines.length === 0) {
+                    return null;
+                }
 
-                    nodes.push({
-                        id: id,
-                        label: text,
-                        level: level + 1,
-                        shape: 'box',
-                        margin: 10,
-                        borderWidth: 2
-                    });
+                // A lone heading at the top level, at the start, is the central topic
+                const depths = lines
+                    .map(line => line.match(headingPattern))
+                    .filter(Boolean)
+                    .map(match => match[1].length);
+                const topDepth = depths.length ? Math.min(...depths) : 1;
+                const firstHeading = lines[0].match(headingPattern);
+                let rootTitle = 'Mind Map';
+                let baseDepth = topDepth;
 
-                    edges.push({
-                        from: parent.id,
-                        to: id,
-                        width: level === 0 ? 3 : 2
-                    });
+                if (firstHeading && firstHeading[1].length === topDepth &&
+                    depths.filter(depth => depth === topDepth).length === 1) {
+                    rootTitle = firstHeading[2].trim() || rootTitle;
+                    baseDepth = topDepth + 1;
+                    lines.shift();
+                }
+
+                const unescape = (str) => str
+                    .replace(/^\\([#>+*-])/, '$1')
+                    .replace(/^(\d+)\\([.)])/, '$1$2');
+
+                const entries = [];
+                let baseLevel = 0; // Level of list items below the current heading
+                let listIndents = []; // Indent widths of the open list levels
+
+                lines.forEach(line => {
+                    const heading = line.match(headingPattern);
+                    if (heading) {
+                        const level = Math.max(0, heading[1].length - baseDepth);
+                        entries.push({ level: level, text: unescape(heading[2].trim()) });
+                        baseLevel = level + 1;
+                        listIndents = [];
+                        return;
+                    }
+
+                    // Notes belong to the task above and don't open a list level
+                    if (line.trim().startsWith('>')) {
+                        entries.push({ level: baseLevel, text: line.trim() });
+                        return;
+                    }
 
-                    stack.push({ id: id, level: level });
+                    const listItem = line.match(listItemPattern);
+                    const indent = line.match(/^(\s*)/)[1].replace(/\t/g, '    ').length;
+
+                    // Close list levels indented deeper than this item
+                    while (listIndents.length && listIndents[listIndents.length - 1] > indent) {
+                        listIndents.pop();
+                    }
+                    if (!listIndents.length || listIndents[listIndents.length - 1] < indent) {
+                        listIndents.push(indent);
+                    }
+
+                    const itemText = listItem ? listItem[2].trim() : line.trim();
+                    entries.push({ level: baseLevel + listIndents.length - 1, text: unescape(itemText) });
                 });
 
+                const { nodes, edges } = this.buildImportedMap(rootTitle, entries);
                 return { nodes, edges, metadata: {} };
             } catch (error) {
-                console.error('Text import failed:', error);
+                console.error('Markdown import failed:', error);
                 return null;
             }
         },
 
+        /**
+         * Build nodes and edges from outline entries, nesting each task under the closest shallower one
+         * Entries are task lines with metadata tokens and cross-links; "> note" entries add to the notes of the task above
+         * @param {string} rootTitle - Central topic
+         * @param {Array} entries - [{ level, text }] with level 0 for top-level tasks
+         * @returns {Object} { nodes, edges }
+         */
+        buildImportedMap: function (rootTitle, entries) {
+            const nodes = [];
+            const edges = [];
+            const pendingLinks = []; // Cross-links, resolved once every task exists
+            let nodeId = 0;
+
+            nodes.push(this.createRootNode(rootTitle));
+
+            const stack = [{ id: 'root', level: -1, childCount: 0 }];
+
+            entries.forEach(({ level, text }) => {
+                if (!text) return;
+
+                // "> note" lines belong to the task above
+                const note = text.match(/^>\s?(.*)$/);
+                if (note) {
+                    const lastNode = nodes[nodes.length - 1];
+                    if (lastNode.id !== 'root') {
+                        lastNode.notes = lastNode.notes ? `${lastNode.notes}\n${note[1]}` : note[1];
+                    }
+                    return;
+                }
+
+                const id = `task_${nodeId++}`;
+
+                // Pop stack to find correct parent
+                while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+                    stack.pop();
+                }
+
+                const parent = stack[stack.length - 1];
+                const task = TaskModel.parseTaskMetadata(text);
+
+                nodes.push({
+                    id: id,
+                    ...this.getTaskFields(task),
+                    order: parent.childCount++,
+                    level: level + 1,
+                    shape: 'box',
+                    margin: 10,
+                    borderWidth: 2
+                });
+
+                edges.push({
+                    from: parent.id,
+                    to: id,
+                    width: level === 0 ? 3 : 2
+                });
+
+                stack.push({ id: id, level: level, childCount: 0 });
+                pendingLinks.push({ id: id, links: task.links });
+            });
+
+            this.addTaskLinks(nodes, edges, pendingLinks);
+            this.markNotes(nodes);
+            return { nodes, edges };
+        },
+
+        /**
+         * Central topic node of an imported map
+         * @param {string} title - Central topic
+         * @returns {Object}
+         */
+        createRootNode: function (title) {
+            return {
+                id: 'root',
+                label: title,
+                originalText: title,
+                level: 0,
+                color: '#F59E0B',
+                font: { size: 28, face: 'Inter', bold: true },
+                shape: 'dot',
+                size: 40
+            };
+        },
+
+        /**
+         * Node fields for a task line read by an importer
+         * @param {Object} task - Parsed by TaskModel.parseTaskMetadata
+         * @returns {Object}
+         */
+        getTaskFields: function (task) {
+            return {
+                label: task.text,
+                originalText: task.text,
+                tags: task.tags.length ? task.tags : undefined,
+                priority: task.priority || undefined,
+                due: task.due || undefined,
+                done: task.done === null ? undefined : task.done
+            };
+        },
+
+        /**
+         * Add the cross-links read from task lines as link edges
+         * Links whose target matches no task are kept on the node, as for the task input
+         * @param {Array} nodes - Imported nodes
+         * @param {Array} edges - Imported edges, added to
+         * @param {Array} pendingLinks - [{ id, links }]
+         */
+        addTaskLinks: function (nodes, edges, pendingLinks) {
+            pendingLinks.forEach(({ id, links }) => {
+                const resolved = TaskModel.resolveLinks(id, links, nodes);
+                edges.push(...resolved.edges);
+                if (resolved.unresolved.length) {
+                    nodes.find(node => node.id === id).unresolvedLinks = resolved.unresolved;
+                }
+            });
+        },
+
         /**
          * Import mind map from FreeMind .mm XML
          * @param {string} xmlString - FreeMind XML data
@@ -236,38 +830,59 @@
          */
         importFromFreeMind: function (xmlString) {
             try {
-                const parser = new DOMParser();
-                const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
-
-                // Check for parsing errors
-                const parserError = xmlDoc.querySelector('parsererror');
-                if (parserError) {
-                    throw new Error('XML parsing failed');
-                }
+                const xmlDoc = this.parseXML(xmlString);
 
                 const nodes = [];
                 const edges = [];
+                const usedIds = new Set(['root']);
+                const idMap = new Map(); // FreeMind ID -> node ID, for arrowlinks
+                const arrowLinks = [];
+                const pendingLinks = []; // Cross-links written in the task text
                 let nodeId = 0;
 
+                // Keep FreeMind IDs so nodes stay the same across round trips
+                function getNodeId(xmlNode) {
+                    const savedId = xmlNode.getAttribute('ID');
+                    if (savedId && !usedIds.has(savedId)) {
+                        usedIds.add(savedId);
+                        return savedId;
+                    }
+                    let id = `task_${nodeId++}`;
+                    while (usedIds.has(id)) {
+                        id = `task_${nodeId++}`;
+                    }
+                    usedIds.add(id);
+                    return id;
+                }
+
                 // Recursive function to parse nodes
-                function parseNode(xmlNode, parentId, level) {
+                function parseNode(xmlNode, parentId, level, order) {
                     const text = xmlNode.getAttribute('TEXT') || 'Node';
-                    const id = level === 0 ? 'root' : `task_${nodeId++}`;
+                    const id = level === 0 ? 'root' : getNodeId(xmlNode);
 
-                    if (level === 0) {
-                        nodes.push({
-                            id: 'root',
-                            label: text,
-                            level: 0,
-                            color: '#F59E0B',
-                            font: { size: 28, face: 'Inter', bold: true },
-                            shape: 'dot',
-                            size: 40
+                    if (xmlNode.getAttribute('ID')) {
+                        idMap.set(xmlNode.getAttribute('ID'), id);
+                    }
+                    xmlNode.querySelectorAll(':scope > arrowlink').forEach(arrowLink => {
+                        arrowLinks.push({
+                            from: id,
+                            destination: arrowLink.getAttribute('DESTINATION'),
+                            label: arrowLink.getAttribute('MIDDLE_LABEL') || ''
                         });
+                    });
+
+                    if (level === 0) {
+                        nodes.push(ImportExport.createRootNode(text));
                     } else {
+                        const task = TaskModel.parseTaskMetadata(text.trim());
+                        pendingLinks.push({ id: id, links: task.links });
+
                         nodes.push({
                             id: id,
-                            label: text,
+                            ...ImportExport.getTaskFields(task),
+                            notes: ImportExport.readNoteXML(xmlNode) || undefined,
+                            collapsed: xmlNode.getAttribute('FOLDED') === 'true' || undefined,
+                            order: order,
                             level: level,
                             shape: 'box',
                             margin: 10,
@@ -283,16 +898,27 @@
 
                     // Process child nodes
                     const childNodes = xmlNode.querySelectorAll(':scope > node');
-                    childNodes.forEach(child => {
-                        parseNode(child, id, level + 1);
+                    childNodes.forEach((child, index) => {
+                        parseNode(child, id, level + 1, index);
                     });
                 }
 
                 const rootNode = xmlDoc.querySelector('map > node');
                 if (rootNode) {
-                    parseNode(rootNode, null, 0);
+                    parseNode(rootNode, null, 0, 0);
                 }
 
+                this.addTaskLinks(nodes, edges, pendingLinks);
+                this.markNotes(nodes);
+
+                // Cross-links, once every destination has an ID
+                arrowLinks.forEach(link => {
+                    const to = idMap.get(link.destination);
+                    if (to && to !== link.from && to !== 'root' && link.from !== 'root') {
+                        edges.push(TaskModel.createLinkEdge(link.from, to, link.label));
+                    }
+                });
+
                 return { nodes, edges, metadata: {} };
             } catch (error) {
                 console.error('FreeMind import failed:', error);
@@ -300,6 +926,114 @@
             }
         },
 
+        /**
+         * Import mind map from an OPML outline
+         * The head title becomes the central topic (or a single top-level outline, when there is no title);
+         * _note and the custom attributes written by exportToOPML are read back into task fields
+         * @param {string} xmlString - OPML XML data
+         * @returns {Object|null} Generated nodes and edges
+         */
+        importFromOPML: function (xmlString) {
+            try {
+                const xmlDoc = this.parseXML(xmlString);
+                const body = xmlDoc.querySelector('opml > body');
+                if (!body) {
+                    throw new Error('Not an OPML document');
+                }
+
+                const titleElement = xmlDoc.querySelector('opml > head > title');
+                let rootTitle = titleElement ? titleElement.textContent.trim() : '';
+                let topOutlines = Array.from(body.querySelectorAll(':scope > outline'));
+
+                if (!rootTitle && topOutlines.length === 1) {
+                    rootTitle = this.getOutlineText(topOutlines[0]);
+                    topOutlines = Array.from(topOutlines[0].querySelectorAll(':scope > outline'));
+                }
+
+                const nodes = [this.createRootNode(rootTitle || 'Mind Map')];
+                const edges = [];
+                let nodeId = 0;
+
+                const parseOutline = (outline, parentId, level, order) => {
+                    const id = `task_${nodeId++}`;
+                    const text = this.getOutlineText(outline);
+                    const tags = (outline.getAttribute('_tags') || '').split(/[\s,]+/).filter(Boolean);
+                    const priority = (outline.getAttribute('_priority') || '').toLowerCase();
+                    const due = outline.getAttribute('_due') || '';
+                    const status = outline.getAttribute('_status');
+                    const complete = outline.getAttribute('_complete') || outline.getAttribute('complete');
+                    const children = Array.from(outline.querySelectorAll(':scope > outline'));
+
+                    let done;
+                    if (status === 'checked' || complete === 'true') {
+                        done = true;
+                    } else if (status === 'unchecked') {
+                        done = false;
+                    }
+
+                    nodes.push({
+                        id: id,
+                        label: text,
+                        originalText: text,
+                        notes: outline.getAttribute('_note') || undefined,
+                        tags: tags.length ? tags : undefined,
+                        priority: ['high', 'medium', 'low'].includes(priority) ? priority : undefined,
+                        due: /^\d{4}-\d{2}-\d{2}$/.test(due) ? due : undefined,
+                        done: done,
+                        collapsed: (outline.getAttribute('_collapsed') === 'true' && children.length > 0) || undefined,
+                        order: order,
+                        level: level,
+                        shape: 'box',
+                        margin: 10,
+                        borderWidth: 2
+                    });
+
+                    edges.push({
+                        from: parentId,
+                        to: id,
+                        width: level === 1 ? 3 : 2
+                    });
+
+                    children.forEach((child, index) => parseOutline(child, id, level + 1, index));
+                };
+
+                topOutlines.forEach((outline, index) => parseOutline(outline, 'root', 1, index));
+
+                this.markNotes(nodes);
+                return { nodes, edges, metadata: {} };
+            } catch (error) {
+                console.error('OPML import failed:', error);
+                return null;
+            }
+        },
+
+        /**
+         * Read an OPML outline's text, falling back to its title attribute
+         * @param {Element} outline - OPML outline element
+         * @returns {string}
+         */
+        getOutlineText: function (outline) {
+            return (outline.getAttribute('text') || outline.getAttribute('title') || '').trim() || 'Node';
+        },
+
+        /**
+         * Parse an XML document, failing on malformed input
+         * @param {string} xmlString - XML data
+         * @returns {Document}
+         */
+        parseXML: function (xmlString) {
+            const parser = new DOMParser();
+            const xmlDoc = parser.parseFromString(xmlString, 'text/xml');
+
+            // Check for parsing errors
+            const parserError = xmlDoc.querySelector('parsererror');
+            if (parserError) {
+                throw new Error('XML parsing failed');
+            }
+
+            return xmlDoc;
+        },
+
         /**
          * Download data as file
          * @param {string} content - File content
@@ -3,14 +3,53 @@
 (function (window) {
     'use strict';
 
+    // Keys that move to the parent, first child and previous/next sibling for each tree orientation
+    const ARROW_KEYS = {
+        free: { parent: ['ArrowUp', 'ArrowLeft'], child: ['ArrowDown', 'ArrowRight'], previous: [], next: [] },
+        UD: { parent: ['ArrowUp'], child: ['ArrowDown'], previous: ['ArrowLeft'], next: ['ArrowRight'] },
+        DU: { parent: ['ArrowDown'], child: ['ArrowUp'], previous: ['ArrowLeft'], next: ['ArrowRight'] },
+        LR: { parent: ['ArrowLeft'], child: ['ArrowRight'], previous: ['ArrowUp'], next: ['ArrowDown'] },
+        RL: { parent: ['ArrowRight'], child: ['ArrowLeft'], previous: ['ArrowUp'], next: ['ArrowDown'] }
+    };
+
+    // Alt+key aligns the selected nodes, Alt+Shift+key distributes them
+    // Matched on event.code, as Alt changes event.key on some keyboards
+    const ALIGN_KEYS = {
+        KeyL: 'left',
+        KeyC: 'centre',
+        KeyR: 'right',
+        KeyT: 'top',
+        KeyM: 'middle',
+        KeyB: 'bottom'
+    };
+
+    const DISTRIBUTE_KEYS = {
+        KeyH: 'horizontal',
+        KeyV: 'vertical'
+    };
+
     const KeyboardController = {
         network: null,
         networkData: null,
-        selectedNodeId: null,
+        selectedNodeId: null, // Node that keys act on - the last one selected
+        selectedNodeIds: [],
+        orientation: null,
+        focusRootId: null, // Node the map is drilled down to, treated as the root
         enabled: false,
         onNodeAdd: null,
         onNodeDelete: null,
+        onNodeMove: null,
         onNodeEdit: null,
+        onNodeNotes: null,
+        onNodeToggle: null,
+        onFocus: null,
+        onCopy: null,
+        onArrange: null,
+        onGridToggle: null,
+        onUndo: null,
+        onRedo: null,
+        getNodeLabel: null,
+        keydownHandler: null,
 
         /**
          * Initialize keyboard shortcuts
@@ -23,20 +62,80 @@
             this.networkData = networkData;
             this.onNodeAdd = callbacks.onNodeAdd || null;
             this.onNodeDelete = callbacks.onNodeDelete || null;
+            this.onNodeMove = callbacks.onNodeMove || null;
             this.onNodeEdit = callbacks.onNodeEdit || null;
+            this.onNodeNotes = callbacks.onNodeNotes || null;
+            this.onNodeToggle = callbacks.onNodeToggle || null;
+            this.onFocus = callbacks.onFocus || null;
+            this.onCopy = callbacks.onCopy || null;
+            this.onArrange = callbacks.onArrange || null;
+            this.onGridToggle = callbacks.onGridToggle || null;
+            this.onUndo = callbacks.onUndo || null;
+            this.onRedo = callbacks.onRedo || null;
+            this.getNodeLabel = callbacks.getNodeLabel || null;
+            this.setSelection([]);
             this.enabled = true;
 
-            // Listen for network selection events
+            // Listen for network selection events - Ctrl+click adds to and removes from the selection
             this.network.on('selectNode', (params) => {
-                this.selectedNodeId = params.nodes[0];
+                this.setSelection(params.nodes);
             });
 
-            this.network.on('deselectNode', () => {
-                this.selectedNodeId = null;
+            this.network.on('deselectNode', (params) => {
+                this.setSelection(params.nodes);
             });
 
-            // Attach keyboard listeners
-            document.addEventListener('keydown', this.handleKeyPress.bind(this));
+            // Attach keyboard listener once - init runs again for every redrawn network
+            if (!this.keydownHandler) {
+                this.keydownHandler = this.handleKeyPress.bind(this);
+                document.addEventListener('keydown', this.keydownHandler);
+            }
+        },
+
+        /**
+         * Remember the selected nodes
+         * @param {Array} nodeIds - In selection order; the last one becomes selectedNodeId
+         */
+        setSelection: function (nodeIds) {
+            this.selectedNodeIds = nodeIds.slice();
+            this.selectedNodeId = nodeIds.length > 0 ? nodeIds[nodeIds.length - 1] : null;
+        },
+
+        /**
+         * Select nodes on the canvas and remember them
+         * @param {Array} nodeIds
+         */
+        selectNodes: function (nodeIds) {
+            this.network.selectNodes(nodeIds);
+            this.setSelection(nodeIds);
+        },
+
+        /**
+         * Get the selected nodes that still exist
+         * Falls back to selectedNodeId when it was set without the rest of the selection
+         * @returns {Array} Node IDs
+         */
+        getSelectedNodeIds: function () {
+            const nodeIds = this.selectedNodeIds.includes(this.selectedNodeId)
+                ? this.selectedNodeIds
+                : [this.selectedNodeId];
+            return nodeIds.filter(id => id && this.networkData && this.networkData.nodes.get(id));
+        },
+
+        /**
+         * Set the tree orientation used by arrow-key navigation
+         * @param {string|null} orientation - UD, DU, LR, RL, 'balanced', or null for free layouts
+         */
+        setOrientation: function (orientation) {
+            this.orientation = orientation || null;
+        },
+
+        /**
+         * Set the node the map is drilled down to - keys don't leave its subtree
+         * @param {string|null} nodeId - null when the whole map is shown
+         */
+        setFocusRoot: function (nodeId) {
+            this.focusRootId = nodeId || null;
         },
 
         /**
@@ -55,6 +154,75 @@
             const ctrl = event.ctrlKey || event.metaKey;
             const shift = event.shiftKey;
 
+            // Alt+L/C/R/T/M/B: Align, Alt+Shift+H/V: Distribute, Alt+G: Toggle the grid
+            if (event.altKey && !ctrl) {
+                const command = shift ? DISTRIBUTE_KEYS[event.code] : ALIGN_KEYS[event.code];
+                if (command) {
+                    event.preventDefault();
+                    if (this.onArrange) {
+                        this.onArrange(command);
+                    }
+                    return;
+                }
+
+                if (event.code === 'KeyG' && !shift) {
+                    event.preventDefault();
+                    if (this.onGridToggle) {
+                        this.onGridToggle();
+                    }
+                    return;
+                }
+            }
+
+            // Ctrl+Z: Undo, Ctrl+Shift+Z / Ctrl+Y: Redo
+            if (ctrl && (key === 'z' || key === 'Z')) {
+                event.preventDefault();
+                const callback = shift ? this.onRedo : this.onUndo;
+                if (callback) {
+                    callback();
+                }
+                return;
+            }
+
+            // Ctrl+C: Copy the selected subtrees as text
+            if (ctrl && (key === 'c' || key === 'C') && this.selectedNodeId) {
+                event.preventDefault();
+                if (this.onCopy) {
+                    this.onCopy(this.getSelectedNodeIds());
+                }
+                return;
+            }
+
+            if (ctrl && (key === 'y' || key === 'Y')) {
+                event.preventDefault();
+                if (this.onRedo) {
+                    this.onRedo();
+                }
+                return;
+            }
+
+            // Alt+Up/Down: Move the selected node among its siblings
+            if (event.altKey && !ctrl && (key === 'ArrowUp' || key === 'ArrowDown') && this.selectedNodeId) {
+                event.preventDefault();
+                this.moveAmongSiblings(key === 'ArrowUp' ? -1 : 1);
+                return;
+            }
+
+            // Shift+Tab or Ctrl+[: Outdent, Ctrl+]: Indent the selected node
+            // Browsers keep Ctrl+Tab for switching tabs, so indenting has no Tab shortcut
+            // Matched on event.code, as the bracket keys differ between layouts
+            if (this.selectedNodeId && ((key === 'Tab' && shift && !ctrl) || (ctrl && event.code === 'BracketLeft'))) {
+                event.preventDefault();
+                this.outdentNode();
+                return;
+            }
+
+            if (this.selectedNodeId && ctrl && event.code === 'BracketRight') {
+                event.preventDefault();
+                this.indentNode();
+                return;
+            }
+
             // Tab: Add child node
             if (key === 'Tab' && this.selectedNodeId && !ctrl) {
                 event.preventDefault();
@@ -69,7 +237,7 @@
                 return;
             }
 
-            // Delete/Backspace: Delete selected node
+            // Delete/Backspace: Delete the selected nodes
             if ((key === 'Delete' || key === 'Backspace') && this.selectedNodeId && !ctrl) {
                 event.preventDefault();
                 this.deleteNode();
@@ -85,6 +253,36 @@
                 return;
             }
 
+            // N: Open notes for the selected node
+            if ((key === 'n' || key === 'N') && this.selectedNodeId && !ctrl) {
+                event.preventDefault();
+                if (this.onNodeNotes) {
+                    this.onNodeNotes(this.selectedNodeId);
+                }
+                return;
+            }
+
+            // F: Focus the selected node, Shift+F: Go up one level
+            if ((key === 'f' || key === 'F') && !ctrl && this.onFocus) {
+                if (shift && this.focusRootId) {
+                    event.preventDefault();
+                    this.onFocus(this.getParentId(this.focusRootId));
+                } else if (!shift && this.selectedNodeId) {
+                    event.preventDefault();
+                    this.onFocus(this.selectedNodeId);
+                }
+                return;
+            }
+
+            // Space: Collapse/expand the selected node's subtree
+            if (key === ' ' && this.selectedNodeId && !ctrl) {
+                event.preventDefault();
+                if (this.onNodeToggle) {
+                    this.onNodeToggle(this.selectedNodeId);
+                }
+                return;
+            }
+
             // Arrow keys: Navigate nodes
             if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(key) && this.selectedNodeId) {
                 event.preventDefault();
@@ -103,22 +301,28 @@
          * Add a child node to the selected node
          */
         addChildNode: function () {
-            if (!this.selectedNodeId || this.selectedNodeId === 'root') return;
+            if (!this.selectedNodeId) return;
 
-            const newNodeId = `task_${Date.now()}`;
+            const newNodeId = TaskModel.createNodeId();
             const selectedNode = this.networkData.nodes.get(this.selectedNodeId);
 
             if (!selectedNode) return;
 
+            // Append after the existing children
+            const children = this.getOrderedChildren(this.selectedNodeId);
+            const lastChild = children[children.length - 1];
+
             // Create new child node
             const newNode = {
                 id: newNodeId,
                 label: 'New Task',
+                order: lastChild ? (lastChild.order || 0) + 1 : 0,
                 level: selectedNode.level + 1,
                 shape: 'box',
                 margin: 10,
                 borderWidth: 2,
-                color: selectedNode.color || '#adb5bd'
+                // Top-level tasks don't inherit the root's colour
+                color: this.selectedNodeId === 'root' ? '#adb5bd' : (selectedNode.color || '#adb5bd')
             };
 
             // Add node
@@ -128,23 +332,14 @@
             this.networkData.edges.add({
                 from: this.selectedNodeId,
                 to: newNodeId,
-                width: 2
+                width: newNode.level === 1 ? 3 : 2
             });
 
             // Update parent node to dot shape if it was a box
-            if (selectedNode.shape === 'box') {
-                this.networkData.nodes.update({
-                    id: this.selectedNodeId,
-                    shape: 'dot',
-                    size: 28,
-                    font: { ...selectedNode.font, bold: true, size: 20 },
-                    margin: undefined
-                });
-            }
+            this.updateParentShape(this.selectedNodeId);
 
             // Select new node
-            this.network.selectNodes([newNodeId]);
-            this.selectedNodeId = newNodeId;
+            this.selectNodes([newNodeId]);
 
             // Trigger edit mode
             if (this.onNodeEdit) {
@@ -161,11 +356,11 @@
          * Add a sibling node to the selected node
          */
         addSiblingNode: function () {
-            if (!this.selectedNodeId || this.selectedNodeId === 'root') return;
+            if (!this.selectedNodeId || this.selectedNodeId === 'root' || this.selectedNodeId === this.focusRootId) return;
 
             // Find parent of selected node
             const edgesToSelected = this.networkData.edges.get({
-                filter: (edge) => edge.to === this.selectedNodeId
+                filter: (edge) => !edge.link && edge.to === this.selectedNodeId
             });
 
             if (edgesToSelected.length === 0) return;
@@ -173,12 +368,21 @@
             const parentId = edgesToSelected[0].from;
             const selectedNode = this.networkData.nodes.get(this.selectedNodeId);
 
-            const newNodeId = `task_${Date.now()}`;
+            const newNodeId = TaskModel.createNodeId();
+
+            // Renumber siblings, leaving a slot right after the selected node
+            const siblings = this.getOrderedChildren(parentId);
+            const insertAt = siblings.findIndex(node => node.id === this.selectedNodeId) + 1;
+            this.networkData.nodes.update(siblings.map((node, index) => ({
+                id: node.id,
+                order: index < insertAt ? index : index + 1
+            })));
 
             // Create sibling node (same level as selected)
             const newNode = {
                 id: newNodeId,
                 label: 'New Task',
+                order: insertAt,
                 level: selectedNode.level,
                 shape: 'box',
                 margin: 10,
@@ -197,8 +401,7 @@
             });
 
             // Select new node
-            this.network.selectNodes([newNodeId]);
-            this.selectedNodeId = newNodeId;
+            this.selectNodes([newNodeId]);
 
             // Trigger edit mode
             if (this.onNodeEdit) {
@@ -212,50 +415,181 @@
         },
 
         /**
-         * Delete the selected node and its children
+         * Delete the selected nodes and their children in one change
          */
         deleteNode: function () {
-            if (!this.selectedNodeId || this.selectedNodeId === 'root') return;
+            const selectedIds = this.getSelectedNodeIds().filter(id => id !== 'root');
+            if (selectedIds.length === 0) return;
 
             // Find all descendant nodes recursively
-            const nodesToDelete = this.getAllDescendants(this.selectedNodeId);
-            nodesToDelete.push(this.selectedNodeId);
+            const nodesToDelete = new Set();
+            selectedIds.forEach(nodeId => {
+                nodesToDelete.add(nodeId);
+                this.getAllDescendants(nodeId).forEach(id => nodesToDelete.add(id));
+            });
 
-            // Find parent and siblings
-            const parentEdge = this.networkData.edges.get({
-                filter: (edge) => edge.to === this.selectedNodeId
-            })[0];
+            // Parents that stay, to check for remaining children afterwards
+            const parentIds = new Set(this.networkData.edges.get({
+                filter: (edge) => !edge.link && nodesToDelete.has(edge.to) && !nodesToDelete.has(edge.from)
+            }).map(edge => edge.from));
 
             // Delete nodes and edges
-            this.networkData.nodes.remove(nodesToDelete);
+            const edgesToDelete = this.networkData.edges.get({
+                filter: (edge) => nodesToDelete.has(edge.from) || nodesToDelete.has(edge.to)
+            }).map(edge => edge.id);
+            this.networkData.edges.remove(edgesToDelete);
+            this.networkData.nodes.remove(Array.from(nodesToDelete));
 
-            // If parent has no more children, change it back to box
-            if (parentEdge) {
-                const parentId = parentEdge.from;
-                const parentChildren = this.networkData.edges.get({
-                    filter: (edge) => edge.from === parentId
-                });
-
-                if (parentChildren.length === 0 && parentId !== 'root') {
-                    const parentNode = this.networkData.nodes.get(parentId);
-                    this.networkData.nodes.update({
-                        id: parentId,
-                        shape: 'box',
-                        size: undefined,
-                        font: { ...parentNode.font, bold: false, size: 16 },
-                        margin: 10
-                    });
-                }
-            }
+            // If a parent has no more children, change it back to box
+            parentIds.forEach(parentId => this.updateParentShape(parentId));
 
-            this.selectedNodeId = null;
+            this.setSelection([]);
 
             // Notify callback
             if (this.onNodeDelete) {
-                this.onNodeDelete(nodesToDelete);
+                this.onNodeDelete(Array.from(nodesToDelete));
             }
         },
 
+        /**
+         * Move the selected node up or down among its siblings
+         * @param {number} step - -1 for up, 1 for down
+         */
+        moveAmongSiblings: function (step) {
+            const nodeId = this.selectedNodeId;
+            const parentId = this.getParentId(nodeId);
+            if (!parentId) return;
+
+            const siblings = this.getOrderedChildren(parentId);
+            const index = siblings.findIndex(node => node.id === nodeId);
+            const target = index + step;
+            if (target < 0 || target >= siblings.length) return;
+
+            siblings.splice(target, 0, siblings.splice(index, 1)[0]);
+            this.networkData.nodes.update(siblings.map((node, i) => ({ id: node.id, order: i })));
+
+            if (this.onNodeMove) {
+                this.onNodeMove(nodeId);
+            }
+        },
+
+        /**
+         * Make the selected node a sibling of its parent, placed right after it
+         */
+        outdentNode: function () {
+            const nodeId = this.selectedNodeId;
+            const parentId = this.getParentId(nodeId);
+            const grandparentId = parentId && parentId !== this.focusRootId ? this.getParentId(parentId) : null;
+            if (!grandparentId) return;
+
+            const parentIndex = this.getOrderedChildren(grandparentId).findIndex(node => node.id === parentId);
+            this.reparentNode(nodeId, grandparentId, parentIndex + 1);
+        },
+
+        /**
+         * Make the selected node the last child of its previous sibling
+         */
+        indentNode: function () {
+            const nodeId = this.selectedNodeId;
+            const parentId = this.getParentId(nodeId);
+            if (!parentId) return;
+
+            const siblings = this.getOrderedChildren(parentId);
+            const index = siblings.findIndex(node => node.id === nodeId);
+            if (index <= 0) return;
+
+            const newParentId = siblings[index - 1].id;
+            this.reparentNode(nodeId, newParentId, this.getOrderedChildren(newParentId).length);
+        },
+
+        /**
+         * Move a node and its subtree under another parent
+         * @param {string} nodeId
+         * @param {string} newParentId
+         * @param {number} insertAt - Position among the new parent's children
+         */
+        reparentNode: function (nodeId, newParentId, insertAt) {
+            const oldParentId = this.getParentId(nodeId);
+            const node = this.networkData.nodes.get(nodeId);
+            const level = this.networkData.nodes.get(newParentId).level + 1;
+            const edge = this.networkData.edges.get({
+                filter: (e) => !e.link && e.to === nodeId
+            })[0];
+
+            this.networkData.edges.update({ id: edge.id, from: newParentId, width: level === 1 ? 3 : 2 });
+
+            // Renumber the old and new siblings
+            const oldSiblings = this.getOrderedChildren(oldParentId);
+            const newSiblings = this.getOrderedChildren(newParentId).filter(sibling => sibling.id !== nodeId);
+            newSiblings.splice(insertAt, 0, node);
+            [oldSiblings, newSiblings].forEach(siblings => {
+                this.networkData.nodes.update(siblings.map((sibling, index) => ({ id: sibling.id, order: index })));
+            });
+
+            // The whole subtree changes level
+            const levelShift = level - node.level;
+            this.networkData.nodes.update([nodeId, ...this.getAllDescendants(nodeId)].map(id => ({
+                id: id,
+                level: this.networkData.nodes.get(id).level + levelShift
+            })));
+
+            this.updateParentShape(oldParentId);
+            this.updateParentShape(newParentId);
+
+            if (this.onNodeMove) {
+                this.onNodeMove(nodeId);
+            }
+        },
+
+        /**
+         * Show a node as a dot when it has children and as a box when it has none
+         * The label and font are rebuilt by the getNodeLabel callback, as parents and leaves are styled differently
+         * @param {string} nodeId
+         */
+        updateParentShape: function (nodeId) {
+            const node = this.networkData.nodes.get(nodeId);
+            if (!node || nodeId === 'root') return;
+
+            const hasChildren = this.getOrderedChildren(nodeId).length > 0;
+            if (hasChildren === (node.shape === 'dot')) return;
+
+            const labelStyle = this.getNodeLabel ? this.getNodeLabel(node, hasChildren) : {};
+            this.networkData.nodes.update({
+                id: nodeId,
+                ...labelStyle,
+                shape: hasChildren ? 'dot' : 'box',
+                size: hasChildren ? 28 : undefined,
+                margin: hasChildren ? undefined : 10
+            });
+        },
+
+        /**
+         * Get the tree parent of a node
+         * @param {string} nodeId
+         * @returns {string|null} Parent ID, null for the root
+         */
+        getParentId: function (nodeId) {
+            const parentEdge = this.networkData.edges.get({
+                filter: (edge) => !edge.link && edge.to === nodeId
+            })[0];
+            return parentEdge ? parentEdge.from : null;
+        },
+
+        /**
+         * Get child nodes of a node in sibling order
+         * @param {string} nodeId
+         * @returns {Array} Child nodes sorted by their order index
+         */
+        getOrderedChildren: function (nodeId) {
+            const childIds = this.networkData.edges.get({
+                filter: (edge) => !edge.link && edge.from === nodeId
+            }).map(edge => edge.to);
+
+            return this.networkData.nodes.get(childIds)
+                .filter(Boolean)
+                .sort(TaskModel.compareSiblings);
+        },
+
         /**
          * Get all descendant node IDs
          * @param {string} nodeId
@@ -264,7 +598,7 @@
         getAllDescendants: function (nodeId) {
             const descendants = [];
             const children = this.networkData.edges.get({
-                filter: (edge) => edge.from === nodeId
+                filter: (edge) => !edge.link && edge.from === nodeId
             });
 
             children.forEach(edge => {
@@ -282,45 +616,80 @@
         navigateWithArrows: function (direction) {
             if (!this.selectedNodeId) return;
 
-            const edges = this.networkData.edges.get();
+            // Cross-links are not part of the tree
+            const edges = this.networkData.edges.get({ filter: (edge) => !edge.link });
+            const parentEdge = edges.find(edge => edge.to === this.selectedNodeId);
+            const parentId = parentEdge && this.selectedNodeId !== this.focusRootId ? parentEdge.from : null;
+            const orientation = this.getNodeOrientation(this.selectedNodeId, edges);
+            const keys = ARROW_KEYS[orientation] || ARROW_KEYS.free;
+            const children = this.getOrderedChildren(this.selectedNodeId).filter(node => !node.hidden);
+            let siblings = parentId ? this.getOrderedChildren(parentId) : [];
             let targetNodeId = null;
+            const rootId = this.focusRootId || 'root';
 
-            if (direction === 'ArrowUp' || direction === 'ArrowLeft') {
-                // Navigate to parent
-                const parentEdge = edges.find(edge => edge.to === this.selectedNodeId);
-                if (parentEdge) {
-                    targetNodeId = parentEdge.from;
-                }
-            } else if (direction === 'ArrowDown' || direction === 'ArrowRight') {
-                // Navigate to first child
-                const childEdges = edges.filter(edge => edge.from === this.selectedNodeId);
-                if (childEdges.length > 0) {
-                    targetNodeId = childEdges[0].to;
-                } else {
-                    // Or navigate to next sibling
-                    const parentEdge = edges.find(edge => edge.to === this.selectedNodeId);
-                    if (parentEdge) {
-                        const siblings = edges.filter(edge => edge.from === parentEdge.from);
-                        const currentIndex = siblings.findIndex(edge => edge.to === this.selectedNodeId);
-                        if (currentIndex < siblings.length - 1) {
-                            targetNodeId = siblings[currentIndex + 1].to;
-                        }
-                    }
+            // Balanced maps alternate top-level branches right (even) and left (odd)
+            if (this.orientation === 'balanced' && parentId === rootId) {
+                const side = siblings.findIndex(node => node.id === this.selectedNodeId) % 2;
+                siblings = siblings.filter((node, index) => index % 2 === side);
+            }
+            const index = siblings.findIndex(node => node.id === this.selectedNodeId);
+
+            if (this.orientation === 'balanced' && this.selectedNodeId === rootId) {
+                const side = direction === 'ArrowRight' ? 0 : direction === 'ArrowLeft' ? 1 : -1;
+                const branch = children.find((node, i) => i % 2 === side);
+                targetNodeId = branch ? branch.id : null;
+            } else if (keys.parent.includes(direction)) {
+                targetNodeId = parentId;
+            } else if (keys.child.includes(direction)) {
+                if (children.length > 0) {
+                    targetNodeId = children[0].id;
+                } else if (orientation === 'free' && index !== -1 && index < siblings.length - 1) {
+                    // Free layouts fall back to the next sibling
+                    targetNodeId = siblings[index + 1].id;
                 }
+            } else if (keys.previous.includes(direction) && index > 0) {
+                targetNodeId = siblings[index - 1].id;
+            } else if (keys.next.includes(direction) && index !== -1 && index < siblings.length - 1) {
+                targetNodeId = siblings[index + 1].id;
             }
 
             if (targetNodeId) {
-                this.network.selectNodes([targetNodeId]);
+                this.selectNodes([targetNodeId]);
                 this.network.focus(targetNodeId, {
                     animation: {
                         duration: 300,
                         easingFunction: 'easeInOutQuad'
                     }
                 });
-                this.selectedNodeId = targetNodeId;
             }
         },
 
+        /**
+         * Get the orientation of the branch a node is on
+         * In balanced maps this is LR for right-hand branches and RL for left-hand ones
+         * @param {string} nodeId
+         * @param {Array} edges - Tree edges
+         * @returns {string} Key of ARROW_KEYS
+         */
+        getNodeOrientation: function (nodeId, edges) {
+            if (this.orientation !== 'balanced') {
+                return this.orientation || 'free';
+            }
+
+            // Walk up to the top-level branch (below the focused node in focus mode)
+            const rootId = this.focusRootId || 'root';
+            let branchId = nodeId;
+            let parentEdge = edges.find(edge => edge.to === branchId);
+            while (parentEdge && parentEdge.from !== rootId) {
+                branchId = parentEdge.from;
+                parentEdge = edges.find(edge => edge.to === branchId);
+            }
+            if (!parentEdge) return 'free';
+
+            const branchIndex = this.getOrderedChildren(rootId).findIndex(node => node.id === branchId);
+            return branchIndex % 2 === 0 ? 'LR' : 'RL';
+        },
+
         /**
          * Show keyboard shortcuts help overlay
          */
@@ -336,10 +705,7 @@
               <div class="shortcut-group">
                 <h3>Navigation</h3>
                 <div class="shortcut-item">
-                  <kbd>↑</kbd> <kbd>←</kbd> <span>Move to parent node</span>
-                </div>
-                <div class="shortcut-item">
-                  <kbd>↓</kbd> <kbd>→</kbd> <span>Move to child/sibling node</span>
+                  <kbd>↑</kbd> <kbd>↓</kbd> <kbd>←</kbd> <kbd>→</kbd> <span>Move to parent, child or sibling, following the layout's direction</span>
                 </div>
               </div>
               <div class="shortcut-group">
@@ -351,10 +717,67 @@
                   <kbd>Enter</kbd> <span>Add sibling node</span>
                 </div>
                 <div class="shortcut-item">
-                  <kbd>F2</kbd> <span>Edit node label</span>
+                  <kbd>Alt</kbd> <kbd>↑</kbd> / <kbd>↓</kbd> <span>Move node up or down among its siblings</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Shift</kbd> <kbd>Tab</kbd> / <kbd>Ctrl</kbd> <kbd>[</kbd> <span>Outdent: make node a sibling of its parent</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Ctrl</kbd> <kbd>]</kbd> <span>Indent: make node a child of the sibling above</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>F2</kbd> <span>Edit node label (or the central topic)</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>N</kbd> <span>Edit node notes</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Space</kbd> <span>Collapse/expand subtree</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>F</kbd> <span>Focus on the selected node's branch</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Shift</kbd> <kbd>F</kbd> <span>Leave focus one level up</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Delete</kbd> <span>Delete selected nodes</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Ctrl</kbd> <kbd>C</kbd> <span>Copy selected nodes as text</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Ctrl</kbd> <kbd>Z</kbd> <span>Undo</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Ctrl</kbd> <kbd>Shift</kbd> <kbd>Z</kbd> <span>Redo</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Shift</kbd> + drag <span>Link two nodes</span>
+                </div>
+              </div>
+              <div class="shortcut-group">
+                <h3>Selecting & Arranging</h3>
+                <div class="shortcut-item">
+                  <kbd>Ctrl</kbd> + click <span>Add a node to the selection</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Ctrl</kbd> + drag <span>Select the nodes inside a box (start on empty canvas)</span>
+                </div>
+                <div class="shortcut-item">
+                  Drag onto a node <span>Move the dragged task under that node</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Alt</kbd> <kbd>L</kbd> / <kbd>C</kbd> / <kbd>R</kbd> <span>Align left, centre or right</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Alt</kbd> <kbd>T</kbd> / <kbd>M</kbd> / <kbd>B</kbd> <span>Align top, middle or bottom</span>
+                </div>
+                <div class="shortcut-item">
+                  <kbd>Alt</kbd> <kbd>Shift</kbd> <kbd>H</kbd> / <kbd>V</kbd> <span>Distribute horizontally or vertically</span>
                 </div>
                 <div class="shortcut-item">
-                  <kbd>Delete</kbd> <span>Delete node</span>
+                  <kbd>Alt</kbd> <kbd>G</kbd> <span>Toggle snap to grid</span>
                 </div>
               </div>
               <div class="shortcut-group">
@@ -406,7 +829,7 @@
             this.enabled = false;
             this.network = null;
             this.networkData = null;
-            this.selectedNodeId = null;
+            this.setSelection([]);
         }
     };
 
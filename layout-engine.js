@@ -0,0 +1,298 @@
+// Layout Engine Module
+// Computes node positions for layouts that vis.js doesn't provide and for arranging selected nodes
+(function (window) {
+    'use strict';
+
+    const LayoutEngine = {
+        /**
+         * Radial layout: root in the centre, one concentric ring per depth
+         * Each subtree gets a wedge of the circle proportional to its leaf count
+         * @param {Object} tree - { rootId, children: { nodeId: [childId] } } with children in sibling order
+         * @param {Object} options - ringGap (minimum distance between rings), leafSpacing (minimum arc between leaves)
+         * @returns {Object} Positions by node ID
+         */
+        radial: function (tree, options = {}) {
+            const ringGap = options.ringGap || 250;
+            const leafSpacing = options.leafSpacing || 120;
+            const leaves = this.countLeaves(tree);
+            const depth = this.getDepth(tree);
+            const positions = {};
+
+            positions[tree.rootId] = { x: 0, y: 0 };
+            if (depth === 0) return positions;
+
+            // Widen the rings until the leaves have room on their ring
+            const totalLeaves = leaves[tree.rootId];
+            const gap = Math.max(ringGap, (totalLeaves * leafSpacing) / (2 * Math.PI * depth));
+
+            const place = (nodeId, level, startAngle, endAngle) => {
+                const children = tree.children[nodeId] || [];
+                let angle = startAngle;
+
+                children.forEach(childId => {
+                    const span = (endAngle - startAngle) * leaves[childId] / leaves[nodeId];
+                    const mid = angle + span / 2;
+                    const radius = (level + 1) * gap;
+
+                    positions[childId] = {
+                        x: Math.round(radius * Math.cos(mid)),
+                        y: Math.round(radius * Math.sin(mid))
+                    };
+
+                    place(childId, level + 1, angle, angle + span);
+                    angle += span;
+                });
+            };
+
+            // Start at the top and go clockwise
+            place(tree.rootId, 0, -Math.PI / 2, Math.PI * 1.5);
+
+            return positions;
+        },
+
+        /**
+         * Balanced mind map: top-level branches alternate right and left of the root
+         * and grow outwards horizontally, each side centred on the root
+         * @param {Object} tree - { rootId, children: { nodeId: [childId] } } with children in sibling order
+         * @param {Object} options - levelGap (horizontal distance between levels), leafSpacing (vertical distance between leaves)
+         * @returns {Object} Positions by node ID
+         */
+        balanced: function (tree, options = {}) {
+            const levelGap = options.levelGap || 300;
+            const leafSpacing = options.leafSpacing || 90;
+            const positions = {};
+            const sides = [[], []]; // Right, left
+
+            positions[tree.rootId] = { x: 0, y: 0 };
+            (tree.children[tree.rootId] || []).forEach((childId, index) => {
+                sides[index % 2].push(childId);
+            });
+
+            sides.forEach((branchIds, sideIndex) => {
+                const direction = sideIndex === 0 ? 1 : -1;
+                const sideIds = [];
+                let nextY = 0;
+
+                // Leaves are stacked, parents sit midway between their first and last child
+                const place = (nodeId, depth) => {
+                    const children = tree.children[nodeId] || [];
+                    let y;
+
+                    if (children.length === 0) {
+                        y = nextY;
+                        nextY += leafSpacing;
+                    } else {
+                        const childYs = children.map(childId => place(childId, depth + 1));
+                        y = (childYs[0] + childYs[childYs.length - 1]) / 2;
+                    }
+
+                    positions[nodeId] = { x: direction * depth * levelGap, y: y };
+                    sideIds.push(nodeId);
+                    return y;
+                };
+
+                branchIds.forEach(branchId => place(branchId, 1));
+
+                // Centre the side vertically on the root
+                const offset = (nextY - leafSpacing) / 2;
+                sideIds.forEach(nodeId => {
+                    positions[nodeId].y = Math.round(positions[nodeId].y - offset);
+                });
+            });
+
+            return positions;
+        },
+
+        /**
+         * Tidy tree (Reingold-Tilford style): subtrees are packed as closely as their
+         * contours allow, using each node's real size, and parents are centred over their children
+         * Runs in O(nodes x depth), so large maps can be re-laid out on every edit
+         * @param {Object} tree - { rootId, children: { nodeId: [childId] } } with children in sibling order
+         * @param {Object} options - sizes ({ nodeId: { width, height } }), direction (UD, DU, LR or RL),
+         *                           levelGap (space between levels), siblingGap (space between neighbouring nodes)
+         * @returns {Object} Positions by node ID
+         */
+        tidy: function (tree, options = {}) {
+            const sizes = options.sizes || {};
+            const direction = options.direction || 'UD';
+            const levelGap = options.levelGap || 80;
+            const siblingGap = options.siblingGap || 30;
+            const horizontal = direction === 'LR' || direction === 'RL';
+            const levelSign = direction === 'DU' || direction === 'RL' ? -1 : 1;
+            const offsets = {}; // Position across the level, relative to the parent
+            const levelSizes = []; // Deepest node on each level
+
+            const getSize = (nodeId) => sizes[nodeId] || { width: 100, height: 40 };
+            const breadth = (nodeId) => horizontal ? getSize(nodeId).height : getSize(nodeId).width;
+            const thickness = (nodeId) => horizontal ? getSize(nodeId).width : getSize(nodeId).height;
+
+            // Returns the subtree's outline: leftmost and rightmost edge on every level below nodeId
+            const layout = (nodeId, level) => {
+                const half = breadth(nodeId) / 2;
+                const children = tree.children[nodeId] || [];
+                levelSizes[level] = Math.max(levelSizes[level] || 0, thickness(nodeId));
+
+                if (children.length === 0) {
+                    return { left: [-half], right: [half] };
+                }
+
+                let outline = null;
+                const childOffsets = children.map(childId => {
+                    const child = layout(childId, level + 1);
+                    if (!outline) {
+                        outline = child;
+                        return 0;
+                    }
+
+                    // Push the subtree right until it clears its left neighbours on every shared level
+                    let shift = -Infinity;
+                    const shared = Math.min(outline.right.length, child.left.length);
+                    for (let i = 0; i < shared; i++) {
+                        shift = Math.max(shift, outline.right[i] - child.left[i] + siblingGap);
+                    }
+
+                    for (let i = 0; i < child.left.length; i++) {
+                        if (i >= outline.left.length) outline.left.push(child.left[i] + shift);
+                        outline.right[i] = child.right[i] + shift;
+                    }
+                    return shift;
+                });
+
+                const centre = (childOffsets[0] + childOffsets[childOffsets.length - 1]) / 2;
+                children.forEach((childId, index) => {
+                    offsets[childId] = childOffsets[index] - centre;
+                });
+
+                return {
+                    left: [-half].concat(outline.left.map(edge => edge - centre)),
+                    right: [half].concat(outline.right.map(edge => edge - centre))
+                };
+            };
+
+            layout(tree.rootId, 0);
+
+            // Each level starts where the thickest node of the previous one ends
+            const levelPositions = [0];
+            for (let level = 1; level < levelSizes.length; level++) {
+                levelPositions[level] = levelPositions[level - 1] +
+                    (levelSizes[level - 1] + levelSizes[level]) / 2 + levelGap;
+            }
+
+            const positions = {};
+            const place = (nodeId, level, across) => {
+                const along = levelSign * levelPositions[level];
+                positions[nodeId] = horizontal
+                    ? { x: Math.round(along), y: Math.round(across) }
+                    : { x: Math.round(across), y: Math.round(along) };
+
+                (tree.children[nodeId] || []).forEach(childId => {
+                    place(childId, level + 1, across + offsets[childId]);
+                });
+            };
+
+            place(tree.rootId, 0, 0);
+
+            return positions;
+        },
+
+        /**
+         * Line nodes up along one edge or centre line of their combined bounds
+         * @param {Object} boxes - { nodeId: { x, y, left, right, top, bottom } } node positions and bounding boxes
+         * @param {string} edge - left, centre, right, top, middle or bottom
+         * @returns {Object} New positions by node ID
+         */
+        align: function (boxes, edge) {
+            const horizontal = ['left', 'centre', 'right'].includes(edge);
+            const ids = Object.keys(boxes);
+            const starts = ids.map(id => horizontal ? boxes[id].left : boxes[id].top);
+            const ends = ids.map(id => horizontal ? boxes[id].right : boxes[id].bottom);
+            const low = Math.min(...starts);
+            const high = Math.max(...ends);
+            const positions = {};
+
+            ids.forEach((id, index) => {
+                let shift;
+                if (edge === 'left' || edge === 'top') {
+                    shift = low - starts[index];
+                } else if (edge === 'right' || edge === 'bottom') {
+                    shift = high - ends[index];
+                } else {
+                    shift = (low + high) / 2 - (starts[index] + ends[index]) / 2;
+                }
+
+                const box = boxes[id];
+                positions[id] = horizontal
+                    ? { x: Math.round(box.x + shift), y: box.y }
+                    : { x: box.x, y: Math.round(box.y + shift) };
+            });
+
+            return positions;
+        },
+
+        /**
+         * Space nodes so the gaps between them are equal, keeping the outermost two in place
+         * @param {Object} boxes - { nodeId: { x, y, left, right, top, bottom } } node positions and bounding boxes
+         * @param {string} axis - 'x' (horizontally) or 'y' (vertically)
+         * @returns {Object} New positions by node ID
+         */
+        distribute: function (boxes, axis) {
+            const startKey = axis === 'x' ? 'left' : 'top';
+            const endKey = axis === 'x' ? 'right' : 'bottom';
+            const ids = Object.keys(boxes).sort((a, b) => boxes[a][startKey] - boxes[b][startKey]);
+            const first = boxes[ids[0]];
+            const last = boxes[ids[ids.length - 1]];
+
+            const totalSize = ids.reduce((sum, id) => sum + boxes[id][endKey] - boxes[id][startKey], 0);
+            const gap = (last[endKey] - first[startKey] - totalSize) / (ids.length - 1);
+            const positions = {};
+            let next = first[startKey];
+
+            ids.forEach(id => {
+                const box = boxes[id];
+                positions[id] = { x: box.x, y: box.y };
+                positions[id][axis] = Math.round(box[axis] + next - box[startKey]);
+                next += box[endKey] - box[startKey] + gap;
+            });
+
+            return positions;
+        },
+
+        /**
+         * Count the leaves below every node (a leaf counts as 1)
+         * @param {Object} tree - { rootId, children }
+         * @returns {Object} Leaf counts by node ID
+         */
+        countLeaves: function (tree) {
+            const counts = {};
+
+            const count = (nodeId) => {
+                const children = tree.children[nodeId] || [];
+                counts[nodeId] = children.length === 0
+                    ? 1
+                    : children.reduce((sum, childId) => sum + count(childId), 0);
+                return counts[nodeId];
+            };
+
+            count(tree.rootId);
+            return counts;
+        },
+
+        /**
+         * Get the number of levels below the root
+         * @param {Object} tree - { rootId, children }
+         * @returns {number}
+         */
+        getDepth: function (tree) {
+            const depth = (nodeId) => {
+                const children = tree.children[nodeId] || [];
+                return children.length === 0 ? 0 : 1 + Math.max(...children.map(depth));
+            };
+
+            return depth(tree.rootId);
+        }
+    };
+
+    // Export to window
+    window.LayoutEngine = LayoutEngine;
+
+})(window);
@@ -9,17 +9,20 @@
         editingNodeId: null,
         editorElement: null,
         onNodeUpdate: null,
+        getNodeText: null,
 
         /**
          * Initialize node editor
          * @param {Object} network - vis.js network instance
          * @param {Object} networkData - network data
          * @param {Function} callback - callback when node is updated
+         * @param {Object} options - optional getNodeText(node) returning the text to edit
          */
-        init: function (network, networkData, callback) {
+        init: function (network, networkData, callback, options = {}) {
             this.network = network;
             this.networkData = networkData;
             this.onNodeUpdate = callback || null;
+            this.getNodeText = options.getNodeText || null;
 
             // Listen for double-click on nodes
             this.network.on('doubleClick', (params) => {
@@ -47,7 +50,9 @@
 
             // Create editor element - use textarea for multi-line support
             this.editorElement = document.createElement('textarea');
-            this.editorElement.value = node.originalText || node.title || node.label.replace(/\n/g, ' ');
+            this.editorElement.value = this.getNodeText
+                ? this.getNodeText(node)
+                : node.originalText || node.title || node.label.replace(/\n/g, ' ');
             this.editorElement.classList.add('node-editor-input');
 
             // Position editor
@@ -111,7 +116,7 @@
                 if (newLabel) {
                     const node = this.networkData.nodes.get(this.editingNodeId);
                     const hasChildren = this.networkData.edges.get({
-                        filter: (edge) => edge.from === this.editingNodeId
+                        filter: (edge) => !edge.link && edge.from === this.editingNodeId
                     }).length > 0;
 
                     // Format label for display
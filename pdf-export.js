@@ -0,0 +1,475 @@
+// PDF Export Module
+// Writes printable PDF documents without any library or service: the map as an embedded image,
+// fitted to one page or tiled across several, plus an optional outline of the tasks
+(function (window) {
+    'use strict';
+
+    // Page sizes in points (1/72 inch)
+    const PAGE_SIZES = {
+        a4: { width: 595.28, height: 841.89 },
+        letter: { width: 612, height: 792 }
+    };
+
+    const MARGIN = 36;
+    const HEADER_HEIGHT = 30;
+    const FOOTER_HEIGHT = 18;
+    const OVERLAP = 28.35; // 10 mm repeated on neighbouring tiles
+    const IMAGE_DPI = 200;
+
+    const TEXT_COLOR = '#111827';
+    const SECONDARY_COLOR = '#6B7280';
+    const MARK_COLOR = '#9CA3AF';
+
+    // Helvetica character widths (1/1000 em) for ASCII 32-126, from the standard font metrics
+    const HELVETICA_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+    const HELVETICA_BOLD_WIDTHS = [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ];
+
+    // Characters WinAnsiEncoding places in 128-159; Latin-1 covers the rest of 160-255
+    const WIN_ANSI_EXTRAS = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+        '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+        '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+        'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+    };
+
+    const FONTS = {
+        regular: { name: 'F1', base: 'Helvetica', widths: HELVETICA_WIDTHS },
+        bold: { name: 'F2', base: 'Helvetica-Bold', widths: HELVETICA_BOLD_WIDTHS },
+        italic: { name: 'F3', base: 'Helvetica-Oblique', widths: HELVETICA_WIDTHS }
+    };
+
+    const PDFExport = {
+        /**
+         * Work out where the map goes on the page and how many pages it needs
+         * @param {number} mapWidth - Map width in canvas units
+         * @param {number} mapHeight - Map height in canvas units
+         * @param {Object} options - paper (a4 or letter), orientation (portrait or landscape),
+         *                           columns (pages across; 0 fits the map on one page)
+         * @returns {Object} { pageWidth, pageHeight, area, scale, width, height, columns, rows }
+         *                   with the printed map size and the area it is drawn in, in points
+         */
+        getLayout: function (mapWidth, mapHeight, options = {}) {
+            const paper = PAGE_SIZES[options.paper] || PAGE_SIZES.a4;
+            const landscape = options.orientation === 'landscape';
+            const pageWidth = landscape ? paper.height : paper.width;
+            const pageHeight = landscape ? paper.width : paper.height;
+            const area = {
+                x: MARGIN,
+                y: MARGIN + HEADER_HEIGHT,
+                width: pageWidth - MARGIN * 2,
+                height: pageHeight - MARGIN * 2 - HEADER_HEIGHT - FOOTER_HEIGHT
+            };
+
+            if (!options.columns) {
+                const scale = Math.min(area.width / mapWidth, area.height / mapHeight);
+                return {
+                    pageWidth: pageWidth,
+                    pageHeight: pageHeight,
+                    area: area,
+                    scale: scale,
+                    width: mapWidth * scale,
+                    height: mapHeight * scale,
+                    columns: 1,
+                    rows: 1
+                };
+            }
+
+            // Neighbouring tiles share an overlap strip, so the map spans slightly less than the pages
+            const columns = Math.max(1, Math.round(options.columns));
+            const width = columns * area.width - (columns - 1) * OVERLAP;
+            const scale = width / mapWidth;
+            const height = mapHeight * scale;
+            const rows = Math.max(1, Math.ceil((height - OVERLAP) / (area.height - OVERLAP)));
+
+            return {
+                pageWidth: pageWidth,
+                pageHeight: pageHeight,
+                area: area,
+                scale: scale,
+                width: width,
+                height: height,
+                columns: columns,
+                rows: rows,
+                tiled: true
+            };
+        },
+
+        /**
+         * Export the map as a PDF document
+         * @param {Object} map - title, width and height (in canvas units), outline ([{ text, level, notes }], optional)
+         *                       and render (called with the wanted image width in pixels; returns
+         *                       { data, width, height } with data the JPEG file as a binary string)
+         * @param {Object} options - as for getLayout, plus outline (add the outline pages)
+         * @returns {Uint8Array} PDF file
+         */
+        exportToPDF: function (map, options = {}) {
+            const layout = this.getLayout(map.width, map.height, options);
+            const image = map.render(Math.round(layout.width / 72 * IMAGE_DPI));
+            const pages = [];
+
+            for (let row = 0; row < layout.rows; row++) {
+                for (let column = 0; column < layout.columns; column++) {
+                    pages.push(this.buildMapPage(map.title, layout, row, column));
+                }
+            }
+
+            if (options.outline && map.outline && map.outline.length > 0) {
+                pages.push(...this.buildOutlinePages(map.outline, layout));
+            }
+
+            // Page numbers go on once the page count is known
+            pages.forEach((page, index) => {
+                page.content += this.text(`${index + 1} / ${pages.length}`, layout.pageWidth / 2,
+                    layout.pageHeight - MARGIN, { size: 8, color: SECONDARY_COLOR, align: 'centre', pageHeight: layout.pageHeight });
+            });
+
+            return this.buildDocument(pages, image, layout, map.title);
+        },
+
+        /**
+         * Build one page of the map: the title, and the map (or one tile of it) clipped to the drawing area
+         * Tiles get a frame, and dashed lines where the strip shared with a neighbour begins
+         * @param {string} title - Root title
+         * @param {Object} layout - From getLayout
+         * @param {number} row - Tile row
+         * @param {number} column - Tile column
+         * @returns {Object} { content } page content stream
+         */
+        buildMapPage: function (title, layout, row, column) {
+            const area = layout.area;
+            const pageHeight = layout.pageHeight;
+            let content = '';
+
+            // Tiles are offset by a page less the overlap; a single page is centred
+            const left = layout.tiled
+                ? area.x - column * (area.width - OVERLAP)
+                : area.x + (area.width - layout.width) / 2;
+            const top = layout.tiled
+                ? area.y - row * (area.height - OVERLAP)
+                : area.y + (area.height - layout.height) / 2;
+
+            content += this.text(title, MARGIN, MARGIN + 14, {
+                font: 'bold',
+                size: 14,
+                color: TEXT_COLOR,
+                maxWidth: area.width - (layout.tiled ? 140 : 0),
+                pageHeight: pageHeight
+            });
+
+            if (layout.tiled) {
+                content += this.text(`Row ${row + 1} of ${layout.rows}, column ${column + 1} of ${layout.columns}`,
+                    MARGIN + area.width, MARGIN + 14, { size: 9, color: SECONDARY_COLOR, align: 'right', pageHeight: pageHeight });
+            }
+
+            content += 'q\n';
+            content += `${this.num(area.x)} ${this.num(pageHeight - area.y - area.height)} ${this.num(area.width)} ${this.num(area.height)} re W n\n`;
+            content += `${this.num(layout.width)} 0 0 ${this.num(layout.height)} ${this.num(left)} ${this.num(pageHeight - top - layout.height)} cm\n`;
+            content += '/Im1 Do\nQ\n';
+
+            if (layout.tiled) {
+                const bottom = pageHeight - area.y - area.height;
+                const lines = [];
+                if (column > 0) lines.push([area.x + OVERLAP, bottom, area.x + OVERLAP, bottom + area.height]);
+                if (column < layout.columns - 1) lines.push([area.x + area.width - OVERLAP, bottom, area.x + area.width - OVERLAP, bottom + area.height]);
+                if (row > 0) lines.push([area.x, bottom + area.height - OVERLAP, area.x + area.width, bottom + area.height - OVERLAP]);
+                if (row < layout.rows - 1) lines.push([area.x, bottom + OVERLAP, area.x + area.width, bottom + OVERLAP]);
+
+                content += `q ${this.color(MARK_COLOR, 'RG')} 0.5 w\n`;
+                content += `${this.num(area.x)} ${this.num(bottom)} ${this.num(area.width)} ${this.num(area.height)} re S\n`;
+                content += '[4 3] 0 d\n';
+                lines.forEach(line => {
+                    content += `${this.num(line[0])} ${this.num(line[1])} m ${this.num(line[2])} ${this.num(line[3])} l S\n`;
+                });
+                content += 'Q\n';
+            }
+
+            return { content: content };
+        },
+
+        /**
+         * Build the outline appendix: every task indented under its parent, with its notes
+         * @param {Array} outline - [{ text, level, notes }] in reading order
+         * @param {Object} layout - From getLayout, for the page size
+         * @returns {Array} Pages ({ content })
+         */
+        buildOutlinePages: function (outline, layout) {
+            const pageHeight = layout.pageHeight;
+            const bottom = pageHeight - MARGIN - FOOTER_HEIGHT;
+            const indent = 16;
+            const pages = [];
+            let page = null;
+            let y = 0;
+
+            const newPage = () => {
+                page = { content: '' };
+                pages.push(page);
+                page.content += this.text('Outline', MARGIN, MARGIN + 14, { font: 'bold', size: 14, color: TEXT_COLOR, pageHeight: pageHeight });
+                y = MARGIN + HEADER_HEIGHT + 10;
+            };
+
+            const addLines = (lines, x, style, lineHeight) => {
+                lines.forEach(line => {
+                    if (y + lineHeight > bottom) newPage();
+                    page.content += this.text(line, x, y, { ...style, pageHeight: pageHeight });
+                    y += lineHeight;
+                });
+            };
+
+            newPage();
+            outline.forEach(item => {
+                const x = MARGIN + item.level * indent;
+                const width = layout.pageWidth - MARGIN - x - 10;
+
+                // Keep a task on the same page as its first line
+                if (y + 14 > bottom) newPage();
+                page.content += this.text('•', x, y, { size: 10, color: SECONDARY_COLOR, pageHeight: pageHeight });
+                addLines(this.wrapText(item.text, 'regular', 10, width), x + 10, { size: 10, color: TEXT_COLOR }, 14);
+
+                if (item.notes) {
+                    const lines = [];
+                    item.notes.split('\n').forEach(note => lines.push(...this.wrapText(note, 'italic', 9, width)));
+                    addLines(lines, x + 10, { font: 'italic', size: 9, color: SECONDARY_COLOR }, 12);
+                }
+
+                y += 2;
+            });
+
+            return pages;
+        },
+
+        /**
+         * Build a line of text positioned from the top of the page
+         * @param {string} str - Text
+         * @param {number} x - Left edge (or right edge / centre, see align)
+         * @param {number} y - Baseline, from the top of the page
+         * @param {Object} style - font (regular, bold or italic), size, color, align (left, centre or right),
+         *                         maxWidth (longer text is shortened with an ellipsis), pageHeight
+         * @returns {string} Content stream operators
+         */
+        text: function (str, x, y, style) {
+            const font = FONTS[style.font || 'regular'];
+            let value = String(str);
+
+            if (style.maxWidth && this.textWidth(value, style.font, style.size) > style.maxWidth) {
+                while (value && this.textWidth(value + '…', style.font, style.size) > style.maxWidth) {
+                    value = value.slice(0, -1);
+                }
+                value += '…';
+            }
+
+            const width = this.textWidth(value, style.font, style.size);
+            const left = style.align === 'right' ? x - width : (style.align === 'centre' ? x - width / 2 : x);
+
+            return `BT /${font.name} ${style.size} Tf ${this.color(style.color, 'rg')} ` +
+                `${this.num(left)} ${this.num(style.pageHeight - y)} Td (${this.encodeText(value)}) Tj ET\n`;
+        },
+
+        /**
+         * Measure text in a standard font
+         * @param {string} str - Text
+         * @param {string} fontKey - regular, bold or italic
+         * @param {number} size - Font size in points
+         * @returns {number} Width in points
+         */
+        textWidth: function (str, fontKey, size) {
+            const widths = FONTS[fontKey || 'regular'].widths;
+            let total = 0;
+
+            for (const char of String(str)) {
+                const code = char.charCodeAt(0);
+                total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+            }
+
+            return total * size / 1000;
+        },
+
+        /**
+         * Break text into lines that fit a width, at spaces where possible
+         * @param {string} str - Text
+         * @param {string} fontKey - regular, bold or italic
+         * @param {number} size - Font size in points
+         * @param {number} maxWidth - Line width in points
+         * @returns {Array} Lines (at least one)
+         */
+        wrapText: function (str, fontKey, size, maxWidth) {
+            const lines = [];
+            let line = '';
+
+            String(str).split(/\s+/).filter(Boolean).forEach(word => {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.textWidth(candidate, fontKey, size) <= maxWidth) {
+                    line = candidate;
+                    return;
+                }
+
+                if (line) lines.push(line);
+                line = word;
+
+                // Words longer than a line are split
+                while (this.textWidth(line, fontKey, size) > maxWidth && line.length > 1) {
+                    let cut = line.length - 1;
+                    while (cut > 1 && this.textWidth(line.slice(0, cut), fontKey, size) > maxWidth) cut--;
+                    lines.push(line.slice(0, cut));
+                    line = line.slice(cut);
+                }
+            });
+
+            lines.push(line);
+            return lines;
+        },
+
+        /**
+         * Assemble the document: catalog, fonts, the map image, info and pages, with the cross-reference table
+         * @param {Array} pages - [{ content }]
+         * @param {Object} image - { data, width, height } JPEG
+         * @param {Object} layout - From getLayout, for the page size
+         * @param {string} title - Document title
+         * @returns {Uint8Array} PDF file
+         */
+        buildDocument: function (pages, image, layout, title) {
+            const objects = [];
+            const add = (body) => {
+                objects.push(body);
+                return objects.length;
+            };
+
+            const catalogId = add('');
+            const pagesId = add('');
+            const fontIds = {};
+            Object.keys(FONTS).forEach(key => {
+                fontIds[key] = add(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key].base} /Encoding /WinAnsiEncoding >>`);
+            });
+            const imageId = add(`<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+                `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.data.length} >>\n` +
+                `stream\n${image.data}\nendstream`);
+            const infoId = add(`<< /Title ${this.encodeUnicode(title)} /Producer (Mind Map Generator) ` +
+                `/CreationDate (${this.formatDate(new Date())}) >>`);
+
+            const fonts = Object.keys(FONTS).map(key => `/${FONTS[key].name} ${fontIds[key]} 0 R`).join(' ');
+            const resources = `<< /Font << ${fonts} >> /XObject << /Im1 ${imageId} 0 R >> >>`;
+            const pageIds = pages.map(page => {
+                const contentId = add(`<< /Length ${page.content.length} >>\nstream\n${page.content}endstream`);
+                return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.num(layout.pageWidth)} ${this.num(layout.pageHeight)}] ` +
+                    `/Resources ${resources} /Contents ${contentId} 0 R >>`);
+            });
+
+            objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+            objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+            // Every character is a single byte, so string lengths are byte offsets
+            let pdf = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+            const offsets = objects.map((body, index) => {
+                const offset = pdf.length;
+                pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+                return offset;
+            });
+
+            const xref = pdf.length;
+            pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+            offsets.forEach(offset => {
+                pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+            });
+            pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+            pdf += `startxref\n${xref}\n%%EOF\n`;
+
+            const bytes = new Uint8Array(pdf.length);
+            for (let i = 0; i < pdf.length; i++) {
+                bytes[i] = pdf.charCodeAt(i);
+            }
+            return bytes;
+        },
+
+        /**
+         * Encode text for a standard font: WinAnsi bytes, with PDF string escapes
+         * Emoji are left out, and other characters the encoding doesn't have (most non-Latin scripts) become "?"
+         * @param {string} str - Text
+         * @returns {string} Literal string contents
+         */
+        encodeText: function (str) {
+            let encoded = '';
+
+            for (const char of String(str)) {
+                const code = char.codePointAt(0);
+                let byte;
+                if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+                    byte = code;
+                } else if (WIN_ANSI_EXTRAS[char]) {
+                    byte = WIN_ANSI_EXTRAS[char];
+                } else if (code === 9) {
+                    byte = 32;
+                } else if (/[\p{Extended_Pictographic}\u200D\uFE0F]/u.test(char)) {
+                    continue;
+                } else {
+                    byte = 63;
+                }
+
+                const out = String.fromCharCode(byte);
+                encoded += out === '(' || out === ')' || out === '\\' ? '\\' + out : out;
+            }
+
+            return encoded;
+        },
+
+        /**
+         * Encode text for document metadata as UTF-16, so any script survives
+         * @param {string} str - Text
+         * @returns {string} Hex string
+         */
+        encodeUnicode: function (str) {
+            let hex = 'FEFF';
+            for (let i = 0; i < str.length; i++) {
+                hex += str.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+            }
+            return `<${hex}>`;
+        },
+
+        /**
+         * Format a colour for a colour operator
+         * @param {string} hex - #RRGGBB
+         * @param {string} operator - rg (fill) or RG (stroke)
+         * @returns {string}
+         */
+        color: function (hex, operator) {
+            const channels = [1, 3, 5].map(i => this.num(parseInt(hex.slice(i, i + 2), 16) / 255));
+            return `${channels.join(' ')} ${operator}`;
+        },
+
+        /**
+         * Format a number for a content stream, with at most two decimals
+         * @param {number} value
+         * @returns {string}
+         */
+        num: function (value) {
+            return String(Math.round(value * 100) / 100);
+        },
+
+        /**
+         * Format a date as a PDF date string
+         * @param {Date} date
+         * @returns {string} D:YYYYMMDDHHmmSS
+         */
+        formatDate: function (date) {
+            const pad = (value) => String(value).padStart(2, '0');
+            return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+                `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+        }
+    };
+
+    // Export to window
+    window.PDFExport = PDFExport;
+
+})(window);
@@ -6,9 +6,14 @@ const ASSETS_TO_CACHE = [
     './app.js',
     './url-state.js',
     './import-export.js',
+    './pdf-export.js',
     './keyboard-controller.js',
     './node-editor.js',
     './history-manager.js',
+    './group-settings.js',
+    './layout-engine.js',
+    './task-model.js',
+    './vis-adapter.js',
     './icon.svg',
     './manifest.json',
     'https://cdnjs.cloudflare.com/ajax/libs/vis/4.21.0/vis.min.css',
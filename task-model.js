@@ -0,0 +1,177 @@
+// Task Model Module
+// Task line syntax, node IDs, sibling order and cross-link edges, shared by the app, the keyboard controller and the importers
+(function (window) {
+    'use strict';
+
+    // "Task -> Other task" or "Task -> Other task \"label\""
+    const LINK_SEPARATOR = /\s+->\s+/;
+    const LINK_TARGET = /^(.*?)(?:\s*"([^"]*)")?$/;
+
+    const LINK_COLOR = '#7C3AED';
+
+    const TaskModel = {
+        /**
+         * Extract inline metadata tokens from a task line
+         * Supports a leading [ ] / [x] checkbox, #tags, !high/!medium/!low, @YYYY-MM-DD
+         * and trailing cross-links written as -> Target "optional label"
+         * @param {string} rawText - Trimmed task line
+         * @returns {Object} Task fields with the tokens removed from text
+         */
+        parseTaskMetadata: function (rawText) {
+            const [taskPart, ...linkParts] = rawText.split(LINK_SEPARATOR);
+            const links = this.parseLinks(linkParts);
+            const task = { text: taskPart, tags: [], priority: null, due: null, done: null, links: links };
+            let text = taskPart;
+
+            const checkbox = text.match(/^\[( |x|X)\]\s*/);
+            if (checkbox) {
+                task.done = checkbox[1] !== ' ';
+                text = text.slice(checkbox[0].length);
+            }
+
+            text = text.replace(/(^|\s)#([\w-]+)/g, (match, space, tag) => {
+                task.tags.push(tag);
+                return space;
+            });
+
+            text = text.replace(/(^|\s)!(high|medium|low)(?=\s|$)/gi, (match, space, priority) => {
+                task.priority = priority.toLowerCase();
+                return space;
+            });
+
+            text = text.replace(/(^|\s)@(\d{4}-\d{2}-\d{2})(?=\s|$)/g, (match, space, due) => {
+                task.due = due;
+                return space;
+            });
+
+            task.text = text.replace(/\s+/g, ' ').trim();
+
+            // A line made only of tokens is treated as plain text
+            if (!task.text) {
+                return { text: taskPart || rawText, tags: [], priority: null, due: null, done: null, links: links };
+            }
+
+            return task;
+        },
+
+        /**
+         * Parse the link segments that followed "->" on a task line
+         * @param {Array} parts - e.g. ['Code API "depends on"', 'Docs']
+         * @returns {Array} [{ target, label }]
+         */
+        parseLinks: function (parts) {
+            return parts
+                .map(part => {
+                    const match = part.trim().match(LINK_TARGET);
+                    return { target: match[1].trim(), label: match[2] ? match[2].trim() : '' };
+                })
+                .filter(link => link.target);
+        },
+
+        /**
+         * Serialize a task back to a single line with its metadata tokens
+         * @param {Object} task - Task with text and optional metadata fields
+         * @returns {string}
+         */
+        formatTaskLine: function (task) {
+            const parts = [];
+
+            if (task.done === true) parts.push('[x]');
+            if (task.done === false) parts.push('[ ]');
+
+            parts.push(task.text);
+
+            (task.tags || []).forEach(tag => parts.push('#' + tag));
+            if (task.priority) parts.push('!' + task.priority);
+            if (task.due) parts.push('@' + task.due);
+
+            (task.links || []).forEach(link => {
+                parts.push('->', link.target + (link.label ? ` "${link.label}"` : ''));
+            });
+
+            return parts.join(' ');
+        },
+
+        /**
+         * Create a node ID that stays unique across regenerations, imports and edits
+         * @returns {string}
+         */
+        createNodeId: function () {
+            return `task_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+        },
+
+        /**
+         * Sort siblings by their order index, falling back to a numeric-aware ID comparison
+         * @param {Object} a - Node
+         * @param {Object} b - Node
+         * @returns {number}
+         */
+        compareSiblings: function (a, b) {
+            const hasOrderA = typeof a.order === 'number';
+            const hasOrderB = typeof b.order === 'number';
+
+            if (hasOrderA && hasOrderB && a.order !== b.order) {
+                return a.order - b.order;
+            }
+            if (hasOrderA !== hasOrderB) {
+                return hasOrderA ? -1 : 1;
+            }
+            return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+        },
+
+        /**
+         * Edge config for a cross-link between two tasks
+         * Drawn dashed with an arrow and kept out of physics so it doesn't pull the tree
+         * @param {string} from - Source node ID
+         * @param {string} to - Target node ID
+         * @param {string} label - Optional edge label
+         * @returns {Object} vis.js edge
+         */
+        createLinkEdge: function (from, to, label) {
+            return {
+                from: from,
+                to: to,
+                link: true,
+                label: label || undefined,
+                dashes: true,
+                width: 1.5,
+                color: { color: LINK_COLOR, highlight: '#F59E0B' },
+                arrows: { to: { enabled: true, scaleFactor: 0.6 } },
+                smooth: { type: 'curvedCW', roundness: 0.2 },
+                font: { size: 12, color: LINK_COLOR, strokeWidth: 3, align: 'middle' },
+                physics: false
+            };
+        },
+
+        /**
+         * Resolve link targets by task text (case-insensitive, first match wins)
+         * @param {string} fromId - Source node ID
+         * @param {Array} links - [{ target, label }]
+         * @param {Array} nodes - Candidate target nodes
+         * @returns {Object} { edges, unresolved } - unresolved links are kept on the node
+         */
+        resolveLinks: function (fromId, links, nodes) {
+            const edges = [];
+            const unresolved = [];
+
+            links.forEach(link => {
+                const target = link.target.toLowerCase();
+                const node = nodes.find(candidate =>
+                    candidate.id !== 'root' && (candidate.originalText || '').toLowerCase() === target
+                );
+
+                if (node && node.id !== fromId) {
+                    edges.push(this.createLinkEdge(fromId, node.id, link.label));
+                } else {
+                    unresolved.push(link);
+                }
+            });
+
+            return { edges: edges, unresolved: unresolved };
+        }
+    };
+
+    // Export to window
+    window.TaskModel = TaskModel;
+
+})(window);
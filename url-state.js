@@ -23,6 +23,22 @@
           }
         };
 
+        // Zoom and centre of the canvas
+        if (data.view) {
+          plainData.metadata.view = data.view;
+        }
+
+        // Branch the map is drilled down to
+        if (data.focus) {
+          plainData.metadata.focus = data.focus;
+        }
+
+        // Custom keyword groups travel with the link
+        if (data.keywordGroups) {
+          plainData.metadata.keywordGroups = data.keywordGroups;
+          plainData.metadata.groupColors = data.groupColors;
+        }
+
         const jsonString = JSON.stringify(plainData);
         
         // Compress using lz-string
@@ -0,0 +1,180 @@
+// vis.js Adapter Module
+// The one place that reads or changes vis.js internals, for measuring nodes and drawing exports.
+// Written against vis-network 9.1.9, the version index.html loads: none of the fields and methods
+// used here are public API, so check each of them again when upgrading vis-network.
+(function (window) {
+    'use strict';
+
+    const VisAdapter = {
+        VIS_VERSION: '9.1.9',
+
+        /**
+         * Run a callback with the network in its plain, unhighlighted state: at zoom 1 (vis.js skips
+         * labels that would be too small at the current zoom) and with nothing selected or hovered
+         * The view and highlights are restored afterwards, and the network redrawn so nodes are measured as shown again
+         * @param {Object} network - vis.js network instance
+         * @param {Function} callback - Called with the network's canvas context
+         * @returns {*} What the callback returned
+         */
+        withPlainState: function (network, callback) {
+            const view = network.body.view;
+            const viewScale = view.scale;
+            const highlighted = Object.values(network.body.nodes)
+                .concat(Object.values(network.body.edges))
+                .filter(item => item.selected || item.hover)
+                .map(item => ({ item: item, selected: item.selected, hover: item.hover }));
+
+            view.scale = 1;
+            highlighted.forEach(state => {
+                state.item.selected = false;
+                state.item.hover = false;
+            });
+
+            try {
+                return callback(network.canvas.getContext());
+            } finally {
+                view.scale = viewScale;
+                highlighted.forEach(state => {
+                    state.item.selected = state.selected;
+                    state.item.hover = state.hover;
+                });
+                network.redraw();
+            }
+        },
+
+        /**
+         * Draw every node and edge with vis.js's own renderer, in the order it draws the canvas
+         * Meant to be called inside withPlainState, on a context already transformed to canvas coordinates
+         * @param {Object} network - vis.js network instance
+         * @param {CanvasRenderingContext2D} ctx - Target context
+         */
+        drawMap: function (network, ctx) {
+            const renderer = network.renderer;
+            renderer._drawEdges(ctx);
+            const drawn = renderer._drawNodes(ctx, true);
+            renderer._drawArrows(ctx);
+            drawn.drawExternalLabels();
+        },
+
+        /**
+         * Width of a node as drawn, the wider of its shape and its label
+         * Off-screen nodes aren't measured while drawing, so a node that just changed shape there is measured here
+         * @param {Object} network - vis.js network instance
+         * @param {string} nodeId
+         * @returns {number|null} null for unknown nodes
+         */
+        getNodeWidth: function (network, nodeId) {
+            const node = network.body.nodes[nodeId];
+            if (!node) return null;
+
+            if (node.shape.width === undefined) {
+                node.shape.resize(network.canvas.getContext(), node.selected);
+            }
+
+            return Math.max(node.shape.width, node.labelModule.size.width);
+        },
+
+        /**
+         * Measure a node and copy what is needed to draw it
+         * @param {Object} network - vis.js network instance
+         * @param {string} nodeId
+         * @returns {Object|null} { x, y, shape, radius, width, height, borderRadius, fill, border, borderWidth, fontSize, label }
+         */
+        getNodeGeometry: function (network, nodeId) {
+            const node = network.body.nodes[nodeId];
+            if (!node) return null;
+
+            const ctx = network.canvas.getContext();
+            node.labelModule.getTextSize(ctx, node.selected, node.hover);
+            node.shape.resize(ctx, node.selected, node.hover);
+
+            return {
+                x: node.x,
+                y: node.y,
+                shape: node.options.shape,
+                radius: node.options.size,
+                width: node.shape.width,
+                height: node.shape.height,
+                borderRadius: node.options.shapeProperties.borderRadius,
+                fill: node.options.color.background,
+                border: node.options.color.border,
+                borderWidth: node.options.borderWidth,
+                fontSize: node.labelModule.fontOptions.size,
+                label: this.getLabel(node.labelModule)
+            };
+        },
+
+        /**
+         * Measure an edge between visible nodes and copy its curve, arrow and label
+         * @param {Object} network - vis.js network instance
+         * @param {string} edgeId
+         * @returns {Object|null} { from, to, controls, color, width, dashes, arrow, label } - null when not drawn
+         */
+        getEdgeGeometry: function (network, edgeId) {
+            const edge = network.body.edges[edgeId];
+            if (!edge || !edge.connected || edge.from.options.hidden || edge.to.options.hidden) return null;
+
+            const ctx = network.canvas.getContext();
+            const via = edge.edgeType.getViaNode();
+            const controls = Array.isArray(via) ? via : (via && Number.isFinite(via.x) ? [via] : []);
+            const values = edge.getFormattingValues();
+            const dashes = edge.options.dashes;
+            const geometry = {
+                from: { x: edge.from.x, y: edge.from.y },
+                to: { x: edge.to.x, y: edge.to.y },
+                controls: controls.map(point => ({ x: point.x, y: point.y })),
+                color: edge.options.color.color || edge.from.options.color.border,
+                width: edge.options.width,
+                dashes: dashes === true ? [5, 5] : (Array.isArray(dashes) ? dashes : null),
+                arrow: null,
+                label: null
+            };
+
+            if (values.toArrow) {
+                const arrow = edge.edgeType.getArrowData(ctx, 'to', via, false, false, { ...values, width: edge.options.width });
+                geometry.arrow = { x: arrow.point.x, y: arrow.point.y, angle: arrow.angle, length: arrow.length };
+            }
+
+            if (edge.options.label) {
+                edge.labelModule.getTextSize(ctx, edge.selected, edge.hover);
+                const point = edge.edgeType.getPoint(0.5, via);
+                const fontOptions = edge.labelModule.fontOptions;
+
+                geometry.label = {
+                    ...this.getLabel(edge.labelModule),
+                    x: point.x,
+                    y: point.y,
+                    horizontal: fontOptions.align === 'horizontal',
+                    strokeWidth: fontOptions.strokeWidth,
+                    strokeColor: fontOptions.strokeColor
+                };
+            }
+
+            return geometry;
+        },
+
+        /**
+         * Copy the lines of a vis.js label, each made of runs of text in one font
+         * @param {Object} labelModule - vis.js label, already measured
+         * @returns {Object} { width, height, lines: [{ height, blocks: [{ text, font, color }] }] }
+         */
+        getLabel: function (labelModule) {
+            const lines = (labelModule.lines || []).map(line => ({
+                height: line.height,
+                blocks: line.blocks
+                    .filter(block => block.text)
+                    .map(block => ({ text: block.text, font: block.font, color: block.color }))
+            }));
+
+            return {
+                width: labelModule.size.width,
+                height: lines.reduce((sum, line) => sum + line.height, 0),
+                lines: lines
+            };
+        }
+    };
+
+    // Export to window
+    window.VisAdapter = VisAdapter;
+
+})(window);